@@ -4,6 +4,11 @@ module.exports = {
     "standard",
     "plugin:react/recommended"
   ],
+  "settings": {
+    "react": {
+      "version": "16.14"
+    }
+  },
   "rules": {
     "no-debugger": [0],
     "react/jsx-uses-vars": [2],
@@ -0,0 +1,23 @@
+/**
+ * Root reducer, routing actions the way strict-redux did before routes were precomputed: combineReducers() calls
+ * reducer of every slice for every action, and each of them scans all known action types to reject unknown ones.
+ * Reuses slice reduction of the instance, so that only routing differs from the current implementation.
+ */
+const { combineReducers } = require('redux')
+
+module.exports = function createReferenceReducer (instance) {
+  const reducers = Object.keys(instance._reducers).reduce((acc, sliceName) => {
+    const sliceDescriptor = instance._slices[sliceName]
+
+    acc[sliceName] = (state = sliceDescriptor.initialState, action) => {
+      if (!Object.keys(instance._actionCreators).includes(action.type) && !action.type.startsWith('@@')) {
+        throw new Error(`Unknown action type ${action.type}`)
+      }
+
+      return instance._reduceSlice(sliceDescriptor, state, action)
+    }
+    return acc
+  }, {})
+
+  return combineReducers(reducers)
+}
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Generates TypeScript declarations from a live StrictRedux instance.
+ * Usage: strict-redux-types <module> [output file] [--export <name>]
+ * The module should be loadable by Node and export a StrictRedux instance, by default as its default export.
+ */
+const fs = require('fs')
+const path = require('path')
+
+const { generateTypeDeclarations } = require('../lib/typings')
+
+const args = process.argv.slice(2)
+const exportFlagIndex = args.indexOf('--export')
+const exportName = exportFlagIndex === -1 ? 'default' : args.splice(exportFlagIndex, 2)[1]
+const [modulePath, outputPath] = args
+
+if (!modulePath) {
+  console.error('Usage: strict-redux-types <module> [output file] [--export <name>]')
+  process.exit(1)
+}
+
+const exported = require(path.resolve(modulePath))
+const instance = exported[exportName] || (exportName === 'default' ? exported : undefined)
+
+if (!instance || typeof instance.getActionTypes !== 'function') {
+  console.error(`Module ${modulePath} does not export a StrictRedux instance as ${exportName}`)
+  process.exit(1)
+}
+
+const declarations = generateTypeDeclarations(instance)
+
+if (outputPath) {
+  fs.writeFileSync(outputPath, declarations)
+} else {
+  process.stdout.write(declarations)
+}
@@ -0,0 +1,496 @@
+import { Middleware, Store, StoreEnhancer } from 'redux'
+
+// Slice descriptors
+
+export type SchemaType = 'string' | 'number' | 'boolean' | 'object' | 'array' | 'function' | 'any'
+
+export type PayloadSchema = SchemaType | {
+  type?: SchemaType
+  required?: boolean
+  enum?: any[]
+  properties?: { [key: string]: PayloadSchema }
+  additionalProperties?: boolean
+  items?: PayloadSchema
+}
+
+export interface PayloadValidationError {
+  path: string
+  message: string
+}
+
+export type ActionReducer<State = any, Payload = any> = (stateSlice: State, payload: Payload) => Partial<State>
+
+export interface ActionReducerWithSchema<State = any, Payload = any> {
+  reducer: ActionReducer<State, Payload>
+  schema: PayloadSchema
+}
+
+export interface EffectApi {
+  select: StrictRedux['select']
+  selectOne: StrictRedux['selectOne']
+  getAction: StrictRedux['getAction']
+  getActions: StrictRedux['getActions']
+}
+
+export type Effect<Payload = any, Result = any> = (payload: Payload, api: EffectApi) => Result | Promise<Result>
+
+export interface StorageAdapter {
+  getItem (key: string): string | null | undefined | Promise<string | null | undefined>
+  setItem (key: string, value: string): any
+  removeItem (key: string): any
+}
+
+export interface PersistSettings {
+  keys?: string[]
+  storage?: StorageAdapter
+  throttle?: number
+  version?: number
+  migrations?: { [version: number]: (persistedState: any) => any }
+}
+
+export interface UndoableSettings {
+  limit?: number
+  filter?: string
+}
+
+export type EntityId = string | number
+
+export interface EntitySettings<Entity = any> {
+  idKey?: string
+  sortComparer?: (a: Entity, b: Entity) => number
+}
+
+export interface ActionStatus {
+  loading: boolean
+  error: any
+}
+
+export type SliceSelector<State = any, Options = any, Result = any> = (stateSlice: State, options?: Options) => Result
+
+export interface SliceDescriptor {
+  sliceName: string
+  initialState: object
+  actionReducers: { [actionName: string]: ActionReducer | ActionReducerWithSchema }
+  payloadSchemas?: { [actionName: string]: PayloadSchema }
+  effects?: { [effectName: string]: Effect }
+  persist?: PersistSettings
+  undoable?: UndoableSettings | boolean
+  entities?: EntitySettings | boolean
+  trackStatus?: readonly string[]
+  listensTo?: { [actionType: string]: ActionReducer }
+  createSelectors?: (select: StrictRedux['select'], selectOne: StrictRedux['selectOne']) => {
+    [selectorName: string]: SliceSelector
+  }
+}
+
+export interface DerivedSelector<Values = any, Options = any, Result = any> {
+  inputs: string
+  compute: (values: Values, options?: Options) => Result
+}
+
+export interface DerivedSliceDescriptor {
+  sliceName: string
+  derive: { [selectorName: string]: DerivedSelector }
+}
+
+export type AnySliceDescriptor = SliceDescriptor | DerivedSliceDescriptor
+
+// Names and types, generated from slice descriptors
+
+type DefaultSeparator = '_'
+type Keys<T> = Extract<keyof T, string>
+type Unpromise<T> = T extends PromiseLike<infer U> ? U : T
+
+type EffectsOf<D> = D extends { effects?: infer E } ? (E extends object ? E : {}) : {}
+type DerivedSelectorsOf<D> = D extends { derive: infer R } ? R : {}
+type CustomSelectorsOf<D> = D extends { createSelectors?: infer F }
+  ? (F extends (...args: any[]) => infer R ? R : {})
+  : {}
+
+type IsUndoable<D> = D extends { undoable: infer U } ? ([U] extends [false | undefined] ? false : true) : false
+type HasEntities<D> = D extends { entities: infer E } ? ([E] extends [false | undefined] ? false : true) : false
+
+type TrackedActionsOf<D> = D extends { trackStatus: readonly (infer A)[] } ? Extract<A, string> : never
+
+// Entity type is inferred from sortComparer parameters
+type EntityOf<D> = D extends { entities: { sortComparer: (a: infer T, b: any) => number } } ? T : any
+
+type EffectStage = 'pending' | 'fulfilled' | 'rejected'
+type HistoryAction = 'undo' | 'redo' | 'clearHistory'
+type EntityAction = 'addOne' | 'addMany' | 'upsertMany' | 'updateOne' | 'removeOne' | 'removeAll' | 'setAll'
+type EntitySelector = 'ids' | 'byId' | 'all' | 'total' | 'getById'
+
+type OwnActionName<D, Sep extends string> =
+  | Keys<D extends { actionReducers: infer R } ? R : {}>
+  | Keys<EffectsOf<D>>
+  | `${Keys<EffectsOf<D>>}${Sep}${EffectStage}`
+  | (D extends { persist: object } ? 'rehydrate' : never)
+  | (IsUndoable<D> extends true ? HistoryAction : never)
+  | (HasEntities<D> extends true ? EntityAction : never)
+
+type OwnSelectorName<D> =
+  | Keys<D extends { initialState: infer S } ? S : {}>
+  | Keys<CustomSelectorsOf<D>>
+  | Keys<DerivedSelectorsOf<D>>
+  | `is${Capitalize<Keys<EffectsOf<D>>>}Pending`
+  | `${Keys<EffectsOf<D>>}Error`
+  | (IsUndoable<D> extends true ? 'canUndo' | 'canRedo' : never)
+  | (HasEntities<D> extends true ? EntitySelector : never)
+  | ([TrackedActionsOf<D>] extends [never] ? never : 'status')
+
+type ReducerPayload<R> = R extends (stateSlice: any, payload: infer P) => any
+  ? P
+  : R extends { reducer: (stateSlice: any, payload: infer P) => any } ? P : undefined
+
+type EffectPayload<E> = E extends (payload: infer P, ...args: any[]) => any ? P : undefined
+type EffectResult<E> = E extends (...args: any[]) => infer R ? Unpromise<R> : undefined
+
+type EntityActionPayload<T, A extends EntityAction> = {
+  addOne: T
+  addMany: T[]
+  upsertMany: T[]
+  updateOne: { id: EntityId, changes: Partial<T> }
+  removeOne: EntityId
+  removeAll: undefined
+  setAll: T[]
+}[A]
+
+type EntitySelectorValue<T, K extends string> = {
+  ids: EntityId[]
+  byId: { [id: string]: T }
+  all: T[]
+  total: number
+  getById: T | undefined
+}[K & EntitySelector]
+
+type OwnActionPayload<D, A extends string, Sep extends string> =
+  D extends { actionReducers: infer R }
+    ? A extends keyof R
+      ? ReducerPayload<R[A]>
+      : HasEntities<D> extends true
+        ? (A extends EntityAction ? EntityActionPayload<EntityOf<D>, A> : OwnEffectPayload<D, A, Sep>)
+        : OwnEffectPayload<D, A, Sep>
+    : never
+
+type OwnEffectPayload<D, A extends string, Sep extends string> =
+  A extends keyof EffectsOf<D>
+    ? EffectPayload<EffectsOf<D>[A]>
+    : A extends `${infer E}${Sep}pending`
+      ? (E extends keyof EffectsOf<D> ? EffectPayload<EffectsOf<D>[E]> : never)
+      : A extends `${infer E}${Sep}fulfilled`
+        ? (E extends keyof EffectsOf<D> ? EffectResult<EffectsOf<D>[E]> : never)
+        : A extends `${string}${Sep}rejected`
+          ? Error
+          : A extends 'rehydrate'
+            ? (D extends { initialState: infer S } ? Partial<S> : never)
+            : undefined
+
+type OwnSelectorValue<D, K extends string> =
+  K extends keyof DerivedSelectorsOf<D>
+    ? (DerivedSelectorsOf<D>[K] extends { compute: (...args: any[]) => infer R } ? R : never)
+    : K extends keyof CustomSelectorsOf<D>
+      ? (CustomSelectorsOf<D>[K] extends (...args: any[]) => infer R ? R : never)
+      : D extends { initialState: infer S }
+        ? K extends keyof S
+          ? S[K]
+          : [HasEntities<D>, K] extends [true, EntitySelector]
+            ? EntitySelectorValue<EntityOf<D>, K>
+            : K extends 'status'
+              ? { [A in TrackedActionsOf<D>]: ActionStatus }
+              : K extends `is${string}Pending` | 'canUndo' | 'canRedo'
+                ? boolean
+                : K extends `${string}Error` ? Error | undefined : never
+        : never
+
+type SliceOf<S extends readonly AnySliceDescriptor[]> = S[number]
+
+// Slices of any type, e.g. coming from JavaScript modules, or slices without literal slice names resolve to plain
+// strings and values of any type
+type IfTyped<S extends readonly AnySliceDescriptor[], T, Fallback> = 0 extends (1 & SliceOf<S>)
+  ? Fallback
+  : string extends SliceOf<S>['sliceName'] ? Fallback : T
+
+export type SliceName<S extends readonly AnySliceDescriptor[]> = SliceOf<S>['sliceName']
+
+export type ActionName<S extends readonly AnySliceDescriptor[], Sep extends string = DefaultSeparator> = IfTyped<S, SliceOf<S> extends infer D
+  ? D extends AnySliceDescriptor ? `${D['sliceName']}${Sep}${OwnActionName<D, Sep>}` : never
+  : never, string>
+
+export type SelectorName<S extends readonly AnySliceDescriptor[], Sep extends string = DefaultSeparator> = IfTyped<S, SliceOf<S> extends infer D
+  ? D extends AnySliceDescriptor ? `${D['sliceName']}${Sep}${OwnSelectorName<D>}` : never
+  : never, string>
+
+export type ActionPayload<
+  S extends readonly AnySliceDescriptor[],
+  N extends string,
+  Sep extends string = DefaultSeparator
+> = IfTyped<S, SliceOf<S> extends infer D
+  ? D extends AnySliceDescriptor
+    ? N extends `${D['sliceName']}${Sep}${infer A}` ? OwnActionPayload<D, A, Sep> : never
+    : never
+  : never, any>
+
+export type SelectorValue<
+  S extends readonly AnySliceDescriptor[],
+  N extends string,
+  Sep extends string = DefaultSeparator
+> = IfTyped<S, SliceOf<S> extends infer D
+  ? D extends AnySliceDescriptor
+    ? N extends `${D['sliceName']}${Sep}${infer K}` ? OwnSelectorValue<D, K> : never
+    : never
+  : never, any>
+
+// Queries
+
+type Whitespace = ' ' | '\n' | '\r' | '\t'
+type Trim<Q extends string> = Q extends `${Whitespace}${infer R}`
+  ? Trim<R>
+  : Q extends `${infer R}${Whitespace}` ? Trim<R> : Q
+type QueryClause<Q extends string> = Q extends `${infer Head},${infer Tail}`
+  ? Trim<Head> | QueryClause<Tail>
+  : Trim<Q>
+
+type Wildcard = '*'
+
+// Glob patterns are matched by trying the rest of a pattern against every suffix of a name after each wildcard
+type MatchGlob<N extends string, P extends string> = P extends `${infer Head}${Wildcard}${infer Rest}`
+  ? N extends `${Head}${infer Tail}` ? MatchGlobTail<Tail, Rest> : false
+  : N extends P ? true : false
+type MatchGlobTail<T extends string, P extends string> = MatchGlob<T, P> extends true
+  ? true
+  : T extends `${string}${infer R}` ? (T extends '' ? false : MatchGlobTail<R, P>) : false
+
+// Names, which are not literal types, resolve any pattern
+type ResolvePattern<Names extends string, P extends string, Sep extends string> = P extends `${string}${Wildcard}${string}`
+  ? string extends Names
+    ? string
+    : Names extends infer N ? N extends string ? (MatchGlob<N, P> extends true ? N : never) : never : never
+  : P extends `${string}${Sep}${string}`
+    ? (P extends Names ? P : never)
+    : `${P}${Sep}${string}` extends Names
+      ? `${P}${Sep}${string}`
+      : Extract<Names, `${P}${Sep}${string}`>
+
+type ClausePattern<C extends string> = C extends `!${infer P}`
+  ? Trim<P>
+  : C extends `${infer P} as ${string}` ? Trim<P> : C
+type ClauseAlias<C extends string> = C extends `${string} as ${infer A}` ? Trim<A> : never
+
+// Alias '*' strips slice prefix from names
+type EntryKey<N extends string, A extends string, Sep extends string> = [A] extends [never]
+  ? N
+  : A extends Wildcard ? (N extends `${string}${Sep}${infer K}` ? K : N) : A
+
+type IncludedEntry<Names extends string, C extends string, Sep extends string> = C extends `!${string}`
+  ? never
+  : ResolvePattern<Names, ClausePattern<C>, Sep> extends infer N
+    ? N extends string ? { key: EntryKey<N, ClauseAlias<C>, Sep>, name: N } : never
+    : never
+
+type ExcludedName<Names extends string, C extends string, Sep extends string> = C extends `!${infer P}`
+  ? ResolvePattern<Names, Trim<P>, Sep>
+  : never
+
+type UnresolvedClause<Names extends string, Q extends string, Sep extends string> = QueryClause<Q> extends infer C
+  ? C extends '' ? never : C extends string ? ([ResolvePattern<Names, ClausePattern<C>, Sep>] extends [never] ? C : never) : never
+  : never
+
+/**
+ * Entries of a query result, pairing result keys with full names. Full names, slice names and globs are supported,
+ * optionally followed by 'as <alias>' or 'as *', and clauses prefixed with '!' exclude names.
+ */
+export type QueryEntry<
+  Names extends string,
+  Q extends string,
+  Sep extends string = DefaultSeparator
+> = IncludedEntry<Names, QueryClause<Q>, Sep> extends infer E
+  ? E extends { name: string } ? (E['name'] extends ExcludedName<Names, QueryClause<Q>, Sep> ? never : E) : never
+  : never
+
+/**
+ * Names, a query string resolves to. String type resolves to all names.
+ */
+export type ResolveQuery<
+  Names extends string,
+  Q extends string,
+  Sep extends string = DefaultSeparator
+> = QueryEntry<Names, Q, Sep>['name']
+
+/**
+ * Query string, checked against known names. Queries, containing unresolved clauses, are rejected by the compiler.
+ */
+export type Query<Names extends string, Q extends string, Sep extends string = DefaultSeparator> =
+  [UnresolvedClause<Names, Q, Sep>] extends [never] ? Q : `Could not resolve ${UnresolvedClause<Names, Q, Sep>}`
+
+// Actions and selectors
+
+export interface FluxStandardAction<Type extends string = string, Payload = any> {
+  type: Type
+  payload: Payload
+  meta?: any
+  error?: boolean
+}
+
+export type BoundAction<Type extends string = string, Payload = any> = ([unknown] extends [Payload]
+  ? (payload?: any, meta?: any) => any
+  : [undefined] extends [Payload]
+    ? (payload?: Payload, meta?: any) => any
+    : (payload: Payload, meta?: any) => any
+) & { type: Type }
+
+export type Selector<Value = any, Options = any> = (options?: Options, state?: object) => Value
+
+export interface OnActionOptions {
+  phase?: 'before' | 'after'
+}
+
+export interface WatchOptions<Options = any> {
+  equality?: 'strict' | 'shallow' | ((a: any, b: any) => boolean)
+  selectorOptions?: Options
+}
+
+export interface Recording {
+  initialState: object
+  actions: Array<FluxStandardAction & { timestamp: number }>
+}
+
+export interface ActionMetadata {
+  name: string
+  sliceName: string
+  actionName: string
+  arity: number
+  generated: boolean
+}
+
+export interface SelectorMetadata {
+  name: string
+  sliceName: string
+  selectorName: string
+  autoGenerated: boolean
+}
+
+export interface SliceMetadata {
+  sliceName: string
+  initialStateKeys: string[]
+  actions: ActionMetadata[]
+  selectors: SelectorMetadata[]
+  listensTo: string[]
+}
+
+export interface StoreMetadata {
+  slices: SliceMetadata[]
+  middlewareCount: number
+}
+
+export interface ReplayOptions {
+  upTo?: number
+}
+
+export interface StrictReduxOptions<Sep extends string = string> {
+  preloadedState?: object | string
+  enhancers?: Array<StoreEnhancer<any>>
+  devTools?: boolean
+  devToolsOptions?: object
+  payloadValidator?: (schema: any, payload: any) => PayloadValidationError[]
+  strictState?: boolean | 'warn' | 'throw'
+  immutabilityGuard?: boolean
+  persistence?: boolean
+  record?: boolean
+  separator?: Sep
+}
+
+export type MiddlewareFactory<
+  S extends readonly AnySliceDescriptor[] = AnySliceDescriptor[],
+  Sep extends string = DefaultSeparator
+> = (instance: StrictRedux<S, Sep>) => Middleware
+
+type Actions<S extends readonly AnySliceDescriptor[], Q extends string, Sep extends string> = {
+  [E in QueryEntry<ActionName<S, Sep>, Q, Sep> as E['key']]: BoundAction<E['name'], ActionPayload<S, E['name'], Sep>>
+}
+
+type Selectors<S extends readonly AnySliceDescriptor[], Q extends string, Sep extends string> = {
+  [E in QueryEntry<SelectorName<S, Sep>, Q, Sep> as E['key']]: Selector<SelectorValue<S, E['name'], Sep>>
+}
+
+type SelectedValues<S extends readonly AnySliceDescriptor[], Q extends string, Sep extends string> = {
+  [E in QueryEntry<SelectorName<S, Sep>, Q, Sep> as E['key']]: SelectorValue<S, E['name'], Sep>
+}
+
+/**
+ * StrictRedux class is a wrapper around vanilla redux store which reduces boilerplate code and enforces some
+ * constraints, improving separation of concerns and code maintainability. Names and payloads of actions and selectors
+ * are inferred from slice descriptors, when their slice names are literal types.
+ */
+declare class StrictRedux<S extends readonly AnySliceDescriptor[] = AnySliceDescriptor[], Sep extends string = DefaultSeparator> {
+  constructor (
+    slices: readonly [...S],
+    middlewareFactories?: Array<MiddlewareFactory<S, Sep>>,
+    options?: StrictReduxOptions<Sep>
+  )
+
+  getSelector<N extends SelectorName<S, Sep>> (selectorName: N): Selector<SelectorValue<S, N, Sep>>
+  getSelectors<Q extends string> (queryString: Query<SelectorName<S, Sep>, Q, Sep>): Selectors<S, Q, Sep>
+  selectOne<N extends SelectorName<S, Sep>> (selectorName: N, options?: any, state?: object): SelectorValue<S, N, Sep>
+  select<Q extends string> (
+    queryString: Query<SelectorName<S, Sep>, Q, Sep>,
+    options?: any,
+    state?: object
+  ): SelectedValues<S, Q, Sep>
+
+  getAction<N extends ActionName<S, Sep>> (actionName: N): BoundAction<N, ActionPayload<S, N, Sep>>
+  getActions<Q extends string> (queryString: Query<ActionName<S, Sep>, Q, Sep>): Actions<S, Q, Sep>
+  getActionTypes<Q extends string> (
+    queryString?: Query<ActionName<S, Sep>, Q, Sep>
+  ): { [E in QueryEntry<ActionName<S, Sep>, Q, Sep> as E['key']]: E['name'] }
+  getActionTypes<Q extends string> (
+    queryString: Query<ActionName<S, Sep>, Q, Sep> | undefined,
+    options: { metadata: true }
+  ): { [E in QueryEntry<ActionName<S, Sep>, Q, Sep> as E['key']]: ActionMetadata }
+  describe (): StoreMetadata
+
+  createMapStateToProps<Q extends string> (
+    queryString: Query<SelectorName<S, Sep>, Q, Sep>
+  ): (state: object, ownProps?: any) => SelectedValues<S, Q, Sep>
+  createMapStateToPropsFactory<Q extends string> (
+    queryString: Query<SelectorName<S, Sep>, Q, Sep>
+  ): () => (state: object, ownProps?: any) => SelectedValues<S, Q, Sep>
+  createMapDispatchToProps<Q extends string> (queryString: Query<ActionName<S, Sep>, Q, Sep>): () => Actions<S, Q, Sep>
+
+  strictDispatch (action: FluxStandardAction<ActionName<S, Sep>>): any
+  batch<T> (callback: () => T): T
+  dispatchBatch (actions: Array<FluxStandardAction<ActionName<S, Sep>>>): void
+  getStore (): Store<any>
+
+  onAction<Q extends string> (
+    queryString: Query<ActionName<S, Sep>, Q, Sep>,
+    handler: (action: FluxStandardAction<ResolveQuery<ActionName<S, Sep>, Q, Sep>>) => void,
+    options?: OnActionOptions
+  ): () => void
+  watch<Q extends string> (
+    queryString: Query<SelectorName<S, Sep>, Q, Sep>,
+    listener: (prevValues: SelectedValues<S, Q, Sep>, nextValues: SelectedValues<S, Q, Sep>) => void,
+    options?: WatchOptions
+  ): () => void
+
+  serialize (): string
+  fork (options?: StrictReduxOptions<Sep>): StrictRedux<S, Sep>
+
+  startRecording (): void
+  stopRecording (): Recording
+  exportRecording (recording?: Recording): string
+  replay (recording: Recording | string, options?: ReplayOptions): StrictRedux<S, Sep>
+
+  addSlice (sliceDescriptor: AnySliceDescriptor): void
+  removeSlice (sliceName: SliceName<S> | string): void
+}
+
+export function createLocalStorage (): StorageAdapter
+export function createSessionStorage (): StorageAdapter
+export function createMemoryStorage (items?: { [key: string]: string }): StorageAdapter
+export function createAsyncStorage (store: {
+  get (key: string): Promise<string | null | undefined>
+  set (key: string, value: string): Promise<any>
+  remove (key: string): Promise<any>
+}): StorageAdapter
+
+export default StrictRedux
@@ -0,0 +1,17 @@
+import { ReactElement, ReactNode } from 'react'
+import StrictRedux, { BoundAction } from '..'
+
+export interface StrictReduxProviderProps {
+  store: StrictRedux<any, any>
+  children?: ReactNode
+}
+
+export function StrictReduxProvider (props: StrictReduxProviderProps): ReactElement
+
+export function useStrictRedux (): StrictRedux<any, any>
+
+export function useSelect<Values extends object = { [key: string]: any }> (queryString: string, options?: any): Values
+
+export function useSelectOne<Value = any> (selectorName: string, options?: any): Value
+
+export function useActions<Actions extends object = { [key: string]: BoundAction }> (queryString: string): Actions
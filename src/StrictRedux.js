@@ -1,7 +1,41 @@
-import { applyMiddleware, compose, createStore, combineReducers } from 'redux'
+import { applyMiddleware, compose, createStore } from 'redux'
 
-const SliceSeparator = '_'
-const QuerySeparator = ','
+import {
+  expandSliceDescriptor,
+  SliceSeparator,
+  validateSelectorNames,
+  validateSeparator,
+  validateSliceNames
+} from './descriptors'
+import { createDerivedSelector, isDerivedSlice, validateDerivedSlice } from './derived'
+import { EffectStages } from './effects'
+import { HistoryActions, recordHistory } from './history'
+import { callGuarded, deepFreeze } from './immutability'
+import { RehydrateAction, startPersistence } from './persistence'
+import { resolveQuery } from './query'
+import { getActionStatus, isReducible, recordStatus } from './status'
+import { parseRecording, serializeRecording } from './recording'
+import { isHiddenKey, shallowEqual, throwError } from './utils'
+import { validatePayload, validateStateChanges } from './validation'
+
+const HookPhases = ['before', 'after']
+// Type of a single action, carrying all actions of a batch, which reaches the store after they pass through middleware
+const BatchActionType = '@@strict-redux/batch'
+const StrictStateModes = [false, true, 'warn', 'throw']
+const EqualityChecks = {
+  strict: (a, b) => a === b,
+  shallow: shallowEqual
+}
+
+// Characters which may break out of an inline <script> tag or are invalid in JavaScript string literals
+const UnsafeCharacters = /[<>&\u2028\u2029]/g
+const EscapedCharacters = {
+  '<': '\\u003C',
+  '>': '\\u003E',
+  '&': '\\u0026',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029'
+}
 
 /**
  * @class
@@ -14,15 +48,57 @@ class StrictRedux {
    * @param {Object[]} slices - State slice descriptors
    * @param {Function[]?} middlewareFactories - Array of middleware creators. Each
    * middleware creator gets a single argument - reference to a StrictRedux instance.
+   * @param {Object=} options - Store options
+   * @param {(Object|string)=} options.preloadedState - Initial state of the whole store, e.g. a persisted snapshot or
+   * output of [serialize()]{@link StrictRedux#serialize}. Each slice state may contain only keys declared in the slice's
+   * initialState, missing keys get their initial values
+   * @param {Function[]=} options.enhancers - Additional store enhancers, applied after middleware
+   * @param {boolean=} options.devTools - Set to false to disable Redux DevTools extension. Defaults to true
+   * @param {Object=} options.devToolsOptions - Options passed to Redux DevTools extension, e.g. name,
+   * actionSanitizer, stateSanitizer or trace
+   * @param {Function=} options.payloadValidator - Function, validating action payloads against schemas in development.
+   * Gets a schema and a payload and returns an array of errors, each containing path of the offending field and
+   * a message. Defaults to a built-in validator, see [sliceDescriptor.payloadSchemas]{@link sliceDescriptor}
+   * @param {(string|boolean)=} options.strictState - 'throw' (or true) or 'warn' when a reducer returns a non-object,
+   * keys not declared in slice's initialState, or changes type of a key. Disabled by default
+   * @param {boolean=} options.immutabilityGuard - Set to false to stop deeply freezing state and payloads in
+   * development. Mutations of frozen state in reducers and selectors throw an error, naming the slice, the action or
+   * selector and the mutated property path
+   * @param {boolean=} options.persistence - Set to false to turn off persistence of all slices
+   * @param {boolean=} options.record - Set to true to start [recording]{@link StrictRedux#startRecording} actions
+   * right after the store is created
+   * @param {string=} options.separator - Separator between slice name and action or selector name, e.g. '/' for
+   * 'auth/login'. Defaults to '_'
+   * @throws An error if preloaded state contains unknown slices or keys
    */
-  constructor (slices, middlewareFactories = []) {
+  constructor (slices, middlewareFactories = [], options = {}) {
     Object.assign(this, {
       _selectors: {},
       _reducers: {},
+      _routes: {},
+      _queryCache: createQueryCache(),
       _actionCreators: {},
+      _actionMetadata: {},
+      _selectorMetadata: {},
+      _mockedSelectors: {},
+      _payloadSchemas: {},
+      _undoPoints: {},
+      _slices: {},
+      _hooks: { before: {}, after: {} },
+      _anyActionHooks: [],
+      _persistors: {},
+      _watchers: [],
+      _recording: undefined,
+      _batchedActions: undefined,
+      _batchDepth: 0,
+      _batchResult: undefined,
+      _commitBatch: undefined,
+      _middlewareFactories: middlewareFactories,
+      _options: options,
+      _separator: options.separator === undefined ? SliceSeparator : options.separator,
       _store: {}
     })
-    this._buildStore(slices, middlewareFactories)
+    this._buildStore(slices, middlewareFactories, options)
   }
 
   /**
@@ -35,14 +111,11 @@ class StrictRedux {
 
   /**
    * @method
-   * @param {string} queryString - Query, describing needed selectors. A query consists of one or many clauses, separated by commas. All whitespace characters are ignored. Each clause is a full selector name or a state slice name.
-   * @return {Object} An object, containing selector functions
+   * @param {string} queryString - Query, describing needed selectors. A query consists of one or many clauses, separated by commas. Whitespace around clauses is ignored. Each clause is a full selector name, a state slice name or a glob with '*' wildcards, e.g. 'todos_is*'. A clause may be followed by 'as <alias>' to rename a single selector, e.g. 'auth_user as user', or by 'as *' to strip slice prefix from names, e.g. 'todos as *'. Clauses prefixed with '!' exclude selectors from the result, e.g. 'todos, !todos_items'.
+   * @return {Object} An object, containing selector functions. The same object is returned for the same query string
    * @throws An error if there is no selectors fitting any of the query clauses
    */
-  getSelectors = (queryString) => this._normalizeQuery(queryString, '_selectors').reduce((acc, selectorName) => ({
-    ...acc,
-    [selectorName]: this._selectors[selectorName]
-  }), {})
+  getSelectors = (queryString) => this._pickByQuery(queryString, '_selectors')
 
   /**
    * @method
@@ -59,16 +132,15 @@ class StrictRedux {
    * @param {string} queryString - Query, describing needed selectors. See [getSelectors]{@link StrictRedux#getSelectors}
    * @param {Object=} options - Options, passed to each selector
    * @param {Object=} state - State object which will be passed to each selector. If omitted, state returned by redux store.getState() method will be used
-   * @return {Object} Object, containing values, returned by each selector function
+   * @return {Object} Object, containing values, returned by each selector function. The object returned by the previous
+   * call with the same query string is returned again, if none of the values has changed
    * @throws An error if there is no selectors fitting any of the query clauses
    */
   select = (queryString, options, state) => {
-    const selectors = this.getSelectors(queryString)
+    const { selected } = this._queryCache
+    selected[queryString] = this._selectReusing(queryString, options, state, selected[queryString])
 
-    return Object.keys(selectors).reduce((acc, name) => ({
-      ...acc,
-      [name]: selectors[name](options, state)
-    }), {})
+    return selected[queryString]
   }
 
   /**
@@ -77,16 +149,16 @@ class StrictRedux {
    * @return {Function} A single action creator function
    * @throws An error if there is no action with such name
    */
-  getAction = (actionName) => this._actionCreators[actionName] || throwError(`Action ${actionName} not found`)
+  getAction = (actionName) => this._actionCreators[actionName] || this._throwUnknownAction(actionName, `Action ${actionName} not found`)
 
   /**
    * @method
    * @param {string} queryString - Query, describing needed actions. Syntax of the query is the same as for [selectors]{@link StrictRedux#getSelectors}.
-   * @return {Object} An object, containing requested action creators
+   * @return {Object} An object, containing requested action creators. The same object is returned for the same query
+   * string
    * @throws An error if there is no actions fitting any of the query clauses
    */
-  getActions = (queryString) => this._normalizeQuery(queryString, '_actionCreators')
-    .reduce((acc, name) => ({ ...acc, [name]: this._actionCreators[name] }), {})
+  getActions = (queryString) => this._pickByQuery(queryString, '_actionCreators')
 
   /**
    * Convenience method for usage with react-redux connect() function.
@@ -97,6 +169,24 @@ class StrictRedux {
    */
   createMapStateToProps = queryString => (state, ownProps) => this.select(queryString, ownProps, state)
 
+  /**
+   * Convenience method for usage with react-redux connect() function, when selected values depend on own props.
+   * @method
+   * @param {string} queryString - Query, describing needed selectors. See [getSelectors]{@link StrictRedux#getSelectors}
+   * @return {Function} Factory, which connect() calls once per component instance to get its own mapStateToProps
+   * function. Unlike [createMapStateToProps()]{@link StrictRedux#createMapStateToProps}, each instance keeps its own
+   * previous result, so instances with different own props don't replace each other's result
+   * @throws An error if there is no selectors fitting any of the query clauses
+   */
+  createMapStateToPropsFactory = queryString => () => {
+    let previousResult
+
+    return (state, ownProps) => {
+      previousResult = this._selectReusing(queryString, ownProps, state, previousResult)
+      return previousResult
+    }
+  }
+
   /**
    * Convenience method for usage with react-redux connect() function.
    * @method
@@ -115,61 +205,689 @@ class StrictRedux {
    */
   strictDispatch = (action) => this.getAction(action.type)(action.payload, action.meta)
 
+  /**
+   * Calls a function, collecting all actions dispatched by bound action creators within it, and dispatches them one
+   * by one when the function returns. All middleware, reducers and hooks see every action, while the store gets them
+   * as a single '@@strict-redux/batch' action, so that subscribers are notified once and Redux DevTools show one
+   * entry. Nested batches, including ones started by hooks of batched actions, join the outer one. Nothing is
+   * dispatched if the function throws.
+   * @method
+   * @param {Function} callback - Function, dispatching actions
+   * @return {*} Result of callback call
+   */
+  batch = (callback) => {
+    if (this._batchedActions) {
+      return callback()
+    }
+
+    this._batchedActions = []
+    let result
+
+    try {
+      result = callback()
+    } catch (error) {
+      this._batchedActions = undefined
+      throw error
+    }
+
+    const actions = this._batchedActions
+    this._batchedActions = undefined
+
+    if (this._recording) {
+      const timestamp = Date.now()
+      this._recording.actions.push(...actions.map(action => ({ ...action, timestamp })))
+    }
+
+    if (actions.length) {
+      this._batchDepth += 1
+
+      try {
+        actions.forEach(action => this._store.dispatch(action))
+      } finally {
+        this._batchDepth -= 1
+
+        if (!this._batchDepth) {
+          this._commitBatch()
+        }
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Dispatches a list of already created actions as a single batch. See [batch()]{@link StrictRedux#batch}
+   * @method
+   * @param {Object[]} actions - FSA-compliant actions
+   * @throws An error if there is no action of some type. No actions are dispatched in this case
+   */
+  dispatchBatch = (actions) => {
+    this.batch(() => actions.forEach(this.strictDispatch))
+  }
+
   /**
    * @method
    * @param {string=} queryString - Query, describing actions. If omitted, all action types will be returned
+   * @param {Object=} options - Options
+   * @param {boolean=} options.metadata - Set to true to get action metadata instead of action types as values. See
+   * [describe()]{@link StrictRedux#describe}
    * @return {Object} List all known actions that match the query
    */
-  getActionTypes = (queryString) => {
-    if (queryString) {
-      return this._normalizeQuery(queryString, '_actionCreators').reduce((acc, name) => ({ ...acc, [name]: name }), {})
-    }
-    return Object.keys(this._actionCreators).reduce((acc, name) => ({...acc, [name]: name}), {})
+  getActionTypes = (queryString, { metadata = false } = {}) => {
+    const names = queryString
+      ? this._resolveQuery(queryString, '_actionCreators')
+      : Object.keys(this._actionCreators).reduce((acc, name) => ({ ...acc, [name]: name }), {})
+
+    return Object.keys(names).reduce((acc, key) => ({
+      ...acc,
+      [key]: metadata ? this._actionMetadata[names[key]] : names[key]
+    }), {})
   }
 
+  /**
+   * Describes contents of the store, e.g. for devtools or documentation generation.
+   * @method
+   * @return {Object} Store metadata: 'slices' - array of slice metadata, each containing 'sliceName',
+   * 'initialStateKeys', 'actions', 'selectors' and 'listensTo' - types of other slices' actions the slice reacts to,
+   * and 'middlewareCount' - number of middleware factories. Each action
+   * is described by its full 'name', 'sliceName', 'actionName', reducer 'arity' and 'generated' flag, which is set
+   * for actions generated by the library, e.g. for effects. Each selector is described by its full 'name',
+   * 'sliceName', 'selectorName' and 'autoGenerated' flag, which is not set for selectors returned by createSelectors
+   */
+  describe = () => ({
+    slices: Object.keys(this._slices).map(sliceName => ({
+      sliceName,
+      initialStateKeys: Object.keys(this._slices[sliceName].initialState).filter(key => !isHiddenKey(key)),
+      actions: Object.keys(this._actionMetadata)
+        .filter(name => this._actionMetadata[name].sliceName === sliceName)
+        .map(name => this._actionMetadata[name]),
+      selectors: Object.keys(this._selectorMetadata)
+        .filter(name => this._selectorMetadata[name].sliceName === sliceName)
+        .map(name => this._selectorMetadata[name]),
+      listensTo: Object.keys(this._slices[sliceName].listensTo || {})
+    })),
+    middlewareCount: this._middlewareFactories.length
+  })
+
   /**
    * @method
    * @return {Object} Vanilla Redux store
    */
   getStore = () => this._store
 
+  /**
+   * Registers an action hook, e.g. to run domain logic in response to actions.
+   * @method
+   * @param {string} queryString - Query, describing actions to listen to. Syntax of the query is the same as for [selectors]{@link StrictRedux#getSelectors}.
+   * @param {Function} handler - Function, called with the dispatched action
+   * @param {Object=} options - Hook options
+   * @param {string=} options.phase - 'before' to call the handler before the action reaches reducers, or 'after'
+   * to call it after reducers have updated state. Defaults to 'after'
+   * @return {Function} Function, which unregisters the hook
+   * @throws An error if there is no actions fitting any of the query clauses or phase is unknown
+   */
+  onAction = (queryString, handler, { phase = 'after' } = {}) => {
+    if (!HookPhases.includes(phase)) {
+      throwError(`Unknown hook phase ${phase}. Expecting one of: ${HookPhases.join(', ')}`)
+    }
+    if (typeof handler !== 'function') {
+      throwError(`Expecting hook handler of type 'function'. Got ${handler} instead`)
+    }
+
+    const hooks = this._hooks[phase]
+    const actionTypes = this._normalizeQuery(queryString, '_actionCreators')
+
+    actionTypes.forEach(type => {
+      hooks[type] = [...(hooks[type] || []), handler]
+    })
+
+    return () => actionTypes.forEach(type => {
+      hooks[type] = (hooks[type] || []).filter(hook => hook !== handler)
+    })
+  }
+
+  /**
+   * Subscribes to changes of selected values. Unlike store.subscribe(), listener is called only when value returned
+   * by any of the selectors has changed.
+   * @method
+   * @param {string} queryString - Query, describing needed selectors. See [getSelectors]{@link StrictRedux#getSelectors}
+   * @param {Function} listener - Function, called with previous and next objects, containing values returned by each
+   * selector function
+   * @param {Object=} options - Watch options
+   * @param {(string|Function)=} options.equality - 'strict' or 'shallow' comparison of each selector value, or
+   * a custom function comparing two values. Defaults to 'strict'
+   * @param {Object=} options.selectorOptions - Options, passed to each selector
+   * @return {Function} Function, which unsubscribes the listener
+   * @throws An error if there is no selectors fitting any of the query clauses or equality check is unknown
+   */
+  watch = (queryString, listener, { equality = 'strict', selectorOptions } = {}) => {
+    const isEqual = typeof equality === 'function'
+      ? equality
+      : EqualityChecks[equality] || throwError(`Unknown equality check ${equality}. Expecting one of: ${Object.keys(EqualityChecks).join(', ')}`)
+
+    const selectors = this.getSelectors(queryString)
+    const selectValues = () => Object.keys(selectors).reduce((acc, name) => ({
+      ...acc,
+      [name]: selectors[name](selectorOptions)
+    }), {})
+
+    let values = selectValues()
+
+    const unsubscribe = this._store.subscribe(() => {
+      const nextValues = selectValues()
+      const prevValues = values
+
+      if (Object.keys(nextValues).some(name => !isEqual(prevValues[name], nextValues[name]))) {
+        values = nextValues
+        listener(prevValues, nextValues)
+      }
+    })
+    // Kept, so that watchers of a removed slice are unsubscribed along with it
+    const watcher = {
+      selectorNames: this._normalizeQuery(queryString, '_selectors'),
+      unsubscribe: () => {
+        this._watchers = this._watchers.filter(item => item !== watcher)
+        unsubscribe()
+      }
+    }
+    this._watchers.push(watcher)
+
+    return watcher.unsubscribe
+  }
+
+  /**
+   * Serializes current state, so that it can be safely inlined into a HTML page, e.g. when rendering on the server.
+   * @method
+   * @return {string} JSON representation of the state, with characters unsafe for inline scripts escaped. Pass it as
+   * preloadedState option to hydrate a new instance
+   */
+  serialize = () => JSON.stringify(this._store.getState())
+    .replace(UnsafeCharacters, char => EscapedCharacters[char])
+
+  /**
+   * Creates a new isolated instance with the same slices and middleware factories, e.g. a store per server request.
+   * @method
+   * @param {Object=} options - Store options, see [constructor]{@link StrictRedux}. Merged with options of this instance,
+   * except preloadedState, which is never inherited
+   * @return {StrictRedux} A new StrictRedux instance
+   */
+  fork = (options = {}) => {
+    const { preloadedState, ...inheritedOptions } = this._options
+    return new StrictRedux(
+      Object.keys(this._slices).map(sliceName => this._slices[sliceName].descriptor),
+      this._middlewareFactories,
+      { ...inheritedOptions, ...options }
+    )
+  }
+
+  /**
+   * Starts recording of all actions dispatched by action creators. Any previous recording is discarded.
+   * @method
+   */
+  startRecording = () => {
+    this._recording = { initialState: this._store.getState(), actions: [] }
+  }
+
+  /**
+   * @method
+   * @return {Object} Recording, containing initial state and actions with their timestamps
+   * @throws An error if recording has not been started
+   */
+  stopRecording = () => {
+    const recording = this._recording || throwError('Recording has not been started')
+
+    this._recording = undefined
+    return recording
+  }
+
+  /**
+   * @method
+   * @param {Object=} recording - Recording returned by [stopRecording()]{@link StrictRedux#stopRecording}. If
+   * omitted, current recording is exported
+   * @return {string} JSON representation of the recording. Errors are serialized with their name, message and stack
+   * @throws An error if there is nothing to export
+   */
+  exportRecording = (recording = this._recording) => serializeRecording(
+    recording || throwError('Recording has not been started')
+  )
+
+  /**
+   * Rebuilds state from a recording in a new instance with the same slices. Actions are dispatched directly to the
+   * store, bypassing middleware, so effects and other side effects are not repeated. Persistence is turned off.
+   * @method
+   * @param {(Object|string)} recording - Recording or its exported JSON representation
+   * @param {Object=} options - Replay options
+   * @param {number=} options.upTo - Number of recorded actions to replay. By default all of them are replayed
+   * @return {StrictRedux} A new StrictRedux instance
+   * @throws An error if the recording refers to unknown action types
+   */
+  replay = (recording, { upTo } = {}) => {
+    const { initialState, actions } = typeof recording === 'string' ? parseRecording(recording) : recording
+
+    const unknownTypes = actions.map(({ type }) => type)
+      .filter((type, index, types) => !this._actionCreators[type] && types.indexOf(type) === index)
+    if (unknownTypes.length) {
+      throwError(`Recording refers to unknown action types: ${unknownTypes.join(', ')}`)
+    }
+
+    const { preloadedState, record, ...inheritedOptions } = this._options
+    const instance = new StrictRedux(
+      Object.keys(this._slices).map(sliceName => this._slices[sliceName].descriptor),
+      [],
+      { ...inheritedOptions, preloadedState: initialState, persistence: false }
+    )
+
+    actions.slice(0, upTo).forEach(({ timestamp, ...action }) => instance.getStore().dispatch(action))
+
+    return instance
+  }
+
+  /**
+   * Registers a state slice after the store has been created, e.g. when a code-split bundle is loaded.
+   * @method
+   * @param {sliceDescriptor} sliceDescriptor - State slice descriptor
+   * @throws An error if a slice with the same name is already registered
+   */
+  addSlice = (sliceDescriptor) => {
+    this._validateListeners(sliceDescriptor)
+    this._registerStateSlice(sliceDescriptor)
+    this._routeListeners(sliceDescriptor)
+    this._replaceReducer()
+    this._startPersistence(sliceDescriptor.sliceName)
+  }
+
+  /**
+   * Unregisters a state slice, its actions and selectors. Queries against a removed slice fail the same way as
+   * queries for unknown names, as do selectors of the slice, obtained before it was removed. Watchers of its selectors
+   * are unsubscribed.
+   * @method
+   * @param {string} sliceName - Name of a state slice
+   * @throws An error if there is no slice with such name
+   */
+  removeSlice = (sliceName) => {
+    if (!this._slices[sliceName]) {
+      throwError(`Slice ${sliceName} not found`)
+    }
+
+    const actionNames = Object.keys(this._actionMetadata)
+      .filter(name => this._actionMetadata[name].sliceName === sliceName)
+
+    Object.keys(this._slices).forEach(listenerName => actionNames
+      .filter(name => (this._slices[listenerName].listensTo || {}).hasOwnProperty(name))
+      .forEach(name => throwError(`Slice ${sliceName} could not be removed, as slice ${listenerName} listens to its action ${name}`))
+    )
+
+    if (this._persistors[sliceName]) {
+      this._persistors[sliceName]()
+      delete this._persistors[sliceName]
+    }
+
+    this._unregisterSlice(sliceName)
+    this._replaceReducer()
+  }
+
+  // Drops everything registered for a slice. Also used to roll back registration of a slice, which failed midway
+  _unregisterSlice = (sliceName) => {
+    const actionNames = Object.keys(this._actionMetadata)
+      .filter(name => this._actionMetadata[name].sliceName === sliceName)
+    const selectorNames = Object.keys(this._selectorMetadata)
+      .filter(name => this._selectorMetadata[name].sliceName === sliceName)
+    const { listensTo = {} } = this._slices[sliceName] || {}
+
+    Object.keys(listensTo).filter(type => this._routes.hasOwnProperty(type)).forEach(type => {
+      this._routes[type] = this._routes[type].filter(listenerName => listenerName !== sliceName)
+    })
+    actionNames.forEach(name => {
+      delete this._routes[name]
+      delete this._actionCreators[name]
+      delete this._actionMetadata[name]
+      delete this._payloadSchemas[name]
+      delete this._undoPoints[name]
+      HookPhases.forEach(phase => delete this._hooks[phase][name])
+    })
+    selectorNames.forEach(name => {
+      delete this._selectors[name]
+      delete this._selectorMetadata[name]
+      delete this._mockedSelectors[name]
+    })
+    this._watchers
+      .filter(watcher => watcher.selectorNames.some(name => selectorNames.includes(name)))
+      .forEach(watcher => watcher.unsubscribe())
+    delete this._reducers[sliceName]
+    delete this._slices[sliceName]
+
+    this._queryCache = createQueryCache()
+  }
+
+  _buildStore = (slices, middlewareFactories, options) => {
+    const { preloadedState, enhancers = [], devTools = true, devToolsOptions, strictState = false } = options
+
+    if (!StrictStateModes.includes(strictState)) {
+      throwError(`Unknown strictState mode ${strictState}. Expecting one of: ${StrictStateModes.join(', ')}`)
+    }
+
+    validateSeparator(this._separator)
 
-  _buildStore = (slices, middlewareFactories) => {
     slices.forEach(slice => this._registerStateSlice(slice))
+    // Listeners are validated once all slices are registered, as slices may listen to slices declared after them
+    slices.forEach(this._validateListeners)
+    slices.forEach(this._routeListeners)
 
-    const devTools = process.env.NODE_ENV !== 'production' &&
-      window &&
+    const devToolsEnhancer = devTools &&
+      process.env.NODE_ENV !== 'production' &&
+      typeof window !== 'undefined' &&
       window.__REDUX_DEVTOOLS_EXTENSION__ &&
-      window.__REDUX_DEVTOOLS_EXTENSION__()
+      window.__REDUX_DEVTOOLS_EXTENSION__(devToolsOptions)
 
-    const middleware = applyMiddleware(...middlewareFactories.map(factory => factory(this)))
+    // Hooks middleware goes last, so that hooks are not called for actions swallowed by other middleware
+    const middleware = applyMiddleware(
+      ...middlewareFactories.map(factory => factory(this)),
+      this._createHooksMiddleware()
+    )
 
     // Assign store to pre-created empty object to make it available in middleware factories
     Object.assign(this._store, createStore(
-      combineReducers(this._reducers),
-      devTools ? compose(
+      this._createRootReducer(),
+      this._normalizePreloadedState(preloadedState),
+      compose(
         middleware,
-        devTools
-      ) : middleware
+        this._createBatchingEnhancer(),
+        ...enhancers,
+        ...(devToolsEnhancer ? [devToolsEnhancer] : [])
+      )
     ))
+
+    if (options.record) {
+      this.startRecording()
+    }
+
+    Object.keys(this._slices).forEach(this._startPersistence)
   }
 
-  _registerStateSlice = (sliceDescriptor) => {
-    const sliceName = sliceDescriptor.sliceName
+  _startPersistence = (sliceName) => {
+    const sliceDescriptor = this._slices[sliceName]
+
+    if (sliceDescriptor.persist && this._options.persistence !== false) {
+      this._persistors[sliceName] = startPersistence({
+        sliceDescriptor,
+        getSliceState: () => this._store.getState()[sliceName],
+        subscribe: this._store.subscribe,
+        rehydrate: this._actionCreators[`${sliceName}${this._separator}${RehydrateAction}`]
+      })
+    }
+  }
+
+  _normalizePreloadedState = (maybeSerializedState) => {
+    if (maybeSerializedState === undefined) {
+      return undefined
+    }
+
+    const preloadedState = typeof maybeSerializedState === 'string'
+      ? JSON.parse(maybeSerializedState)
+      : maybeSerializedState
+
+    return Object.keys(preloadedState).reduce((acc, sliceName) => {
+      const sliceDescriptor = this._slices[sliceName] || throwError(`Unknown slice ${sliceName} in preloaded state`)
+
+      if (isDerivedSlice(sliceDescriptor)) {
+        throwError(`Derived slice ${sliceName} has no state to preload`)
+      }
+      const sliceState = preloadedState[sliceName]
+
+      if (!sliceState || typeof sliceState !== 'object' || Array.isArray(sliceState)) {
+        throwError(`Expecting preloaded state of slice ${sliceName} to be an object. Got ${JSON.stringify(sliceState)} instead`)
+      }
+
+      Object.keys(sliceState).forEach(key => {
+        if (!sliceDescriptor.initialState.hasOwnProperty(key)) {
+          throwError(`Unknown key ${sliceName}.${key} in preloaded state`)
+        }
+      })
+
+      // Missing keys get their initial values, as slice reducer gets preloaded slice state instead of initial one
+      return { ...acc, [sliceName]: { ...sliceDescriptor.initialState, ...sliceState } }
+    }, {})
+  }
+
+  // Goes right after middleware. Actions of a batch are reduced here, and state reduced so far is given to middleware
+  // and selectors, while enhancers, DevTools and subscribers get a single batch action once the batch is dispatched
+  _createBatchingEnhancer = () => createStore => (reducer, ...args) => {
+    const store = createStore(reducer, ...args)
+    let rootReducer = reducer
+    let pending
+
+    this._commitBatch = () => {
+      if (!pending) {
+        return
+      }
+
+      const action = { type: BatchActionType, payload: pending.actions }
+      this._batchResult = { action, prevState: store.getState(), nextState: pending.state }
+      pending = undefined
+
+      try {
+        store.dispatch(action)
+      } finally {
+        this._batchResult = undefined
+      }
+    }
+
+    return {
+      ...store,
+      dispatch: action => {
+        if (!this._batchDepth) {
+          return store.dispatch(action)
+        }
+
+        const state = pending ? pending.state : store.getState()
+        const nextState = rootReducer(state, action)
+        pending = { state: nextState, actions: [...(pending ? pending.actions : []), action] }
+
+        return action
+      },
+      getState: () => pending ? pending.state : store.getState(),
+      replaceReducer: nextReducer => {
+        rootReducer = nextReducer
+        store.replaceReducer(nextReducer)
+      }
+    }
+  }
+
+  _createHooksMiddleware = () => () => next => action => {
+    if (action.type === BatchActionType) {
+      return next(action)
+    }
+
+    this._runHooks('before', action)
+    const result = next(action)
+    this._runHooks('after', action)
+    this._anyActionHooks.forEach(hook => hook(action))
+
+    return result
+  }
+
+  // Calls a handler after every action, including actions of slices registered later, e.g. to record them in tests
+  _onAnyAction = (handler) => {
+    this._anyActionHooks = [...this._anyActionHooks, handler]
+
+    return () => {
+      this._anyActionHooks = this._anyActionHooks.filter(hook => hook !== handler)
+    }
+  }
+
+  _runHooks = (phase, action) => (this._hooks[phase][action.type] || []).forEach(hook => hook(action))
+
+  _replaceReducer = () => this._store.replaceReducer(this._createRootReducer())
+
+  _createRootReducer = () => {
+    const rootReducer = (state = {}, action) => {
+      // Actions of a batch are reduced while they pass through middleware, and reduced again only on replay, e.g. when
+      // Redux DevTools recompute state
+      if (action.type === BatchActionType) {
+        const result = this._batchResult
+
+        return result && result.action === action && result.prevState === state
+          ? result.nextState
+          : action.payload.reduce(rootReducer, state)
+      }
+
+      const route = this._routes.hasOwnProperty(action.type) && this._routes[action.type]
+
+      // Only slices, owning the action or listening to it, are reduced, others keep their state
+      if (route) {
+        return route.reduce((acc, sliceName) => {
+          const sliceState = this._reducers[sliceName](acc[sliceName], action)
+          return sliceState === acc[sliceName] ? acc : withSliceState(acc, sliceName, sliceState)
+        }, state)
+      }
+
+      if (!action.type.startsWith('@@')) {
+        this._throwUnknownAction(action.type, `Unknown action type ${action.type}`)
+      }
+
+      // Internal actions, e.g. Redux init on store creation or reducer replacement, give initial state to newly
+      // registered slices and drop state of removed ones
+      const nextState = Object.keys(this._reducers).reduce((acc, sliceName) => ({
+        ...acc,
+        [sliceName]: this._reducers[sliceName](state[sliceName], action)
+      }), {})
+
+      return shallowEqual(state, nextState) ? state : nextState
+    }
+
+    return rootReducer
+  }
+
+  _registerStateSlice = (originalDescriptor) => {
+    const sliceName = originalDescriptor.sliceName
+
+    validateSliceNames(originalDescriptor, this._separator)
+
+    if (this._slices[sliceName]) {
+      throwError(`Slice ${sliceName} is already registered`)
+    }
+
+    try {
+      if (isDerivedSlice(originalDescriptor)) {
+        this._registerDerivedSlice(originalDescriptor)
+      } else {
+        this._registerSliceContents(originalDescriptor)
+      }
+    } catch (error) {
+      // Some checks need actions of the slice to be registered, so a slice failing them is rolled back
+      this._unregisterSlice(sliceName)
+      throw error
+    }
+
+    // Queries resolved while the slice was registered, e.g. undo filters, may miss names of the slice
+    this._queryCache = createQueryCache()
+  }
+
+  _registerSliceContents = (originalDescriptor) => {
+    const sliceName = originalDescriptor.sliceName
+
+    // Slice descriptor, expanded with generated state keys and action reducers. Original one is kept for fork()
+    const sliceDescriptor = expandSliceDescriptor(originalDescriptor, this._separator)
+    this._slices[sliceName] = sliceDescriptor
 
     Object.keys(sliceDescriptor.actionReducers).forEach(actionName => {
-      const fullName = `${sliceName}${SliceSeparator}${actionName}`
+      const fullName = `${sliceName}${this._separator}${actionName}`
+      const effect = sliceDescriptor.effects.hasOwnProperty(actionName) && sliceDescriptor.effects[actionName]
 
-      this._actionCreators[fullName] = this._createBoundAction(fullName)
+      this._actionCreators[fullName] = effect
+        ? this._createBoundEffect(fullName, effect)
+        : this._createBoundAction(fullName)
       this._actionCreators[fullName].type = fullName
+      this._actionMetadata[fullName] = describeAction(sliceDescriptor, fullName, actionName)
+      this._routes[fullName] = [sliceName]
+    })
+
+    Object.keys(sliceDescriptor.payloadSchemas).forEach(actionName => {
+      const fullName = `${sliceName}${this._separator}${actionName}`
+
+      if (!this._actionCreators[fullName]) {
+        throwError(`Payload schema declared for unknown action ${fullName}`)
+      }
+      this._payloadSchemas[fullName] = sliceDescriptor.payloadSchemas[actionName]
     })
 
+    if (sliceDescriptor.undoable) {
+      this._registerUndoPoints(sliceDescriptor)
+    }
+
     this._reducers[sliceName] = this._createReducer(sliceDescriptor)
 
     this._createSelectors(sliceDescriptor)
   }
 
+  _validateListeners = ({ sliceName, listensTo = {} }) => Object.keys(listensTo).forEach(type => {
+    if (type.startsWith(`${sliceName}${this._separator}`)) {
+      throwError(`Slice ${sliceName} listens to its own action ${type}. Declare it in actionReducers instead`)
+    }
+    if (!this._actionMetadata.hasOwnProperty(type)) {
+      throwError(`Slice ${sliceName} listens to unknown action ${type}`)
+    }
+    if (typeof listensTo[type] !== 'function') {
+      throwError(`Listener of slice ${sliceName} for action ${type} is not a function`)
+    }
+  })
+
+  _routeListeners = ({ sliceName, listensTo = {} }) => Object.keys(listensTo)
+    .forEach(type => this._routes[type].push(sliceName))
+
+  // Derived slices have neither state nor actions, so they get an empty state and actions placeholders
+  _registerDerivedSlice = (originalDescriptor) => {
+    const { sliceName, derive } = originalDescriptor
+
+    validateDerivedSlice(originalDescriptor, this._separator)
+    validateSelectorNames(sliceName, derive, {})
+
+    this._slices[sliceName] = { ...originalDescriptor, initialState: {}, actionReducers: {}, descriptor: originalDescriptor }
+
+    Object.keys(derive).forEach(selectorName => {
+      const fullName = `${sliceName}${this._separator}${selectorName}`
+
+      this._selectorMetadata[fullName] = { name: fullName, sliceName, selectorName, autoGenerated: false }
+      this._selectors[fullName] = createDerivedSelector(derive[selectorName], this.select)
+    })
+  }
+
+  _registerUndoPoints = ({ sliceName, effects, undoable: { filter } }) => {
+    const ownActionTypes = Object.keys(this._actionMetadata)
+      .filter(name => this._actionMetadata[name].sliceName === sliceName)
+    const effectActions = Object.keys(effects).reduce((acc, effectName) => [
+      ...acc,
+      effectName,
+      ...EffectStages.map(stage => `${effectName}${this._separator}${stage}`)
+    ], [])
+    const isExcludedByDefault = ({ actionName, generated }) => [...HistoryActions, RehydrateAction].includes(actionName) ||
+      (generated && effectActions.includes(actionName))
+
+    // By default every action of the slice creates an undo point, except for history management, rehydration and
+    // effect lifecycle actions without custom reducers, which only track status of the effect
+    const actionTypes = filter
+      ? this._normalizeQuery(filter, '_actionCreators')
+      : ownActionTypes.filter(name => !isExcludedByDefault(this._actionMetadata[name]))
+
+    actionTypes.forEach(type => {
+      if (!ownActionTypes.includes(type)) {
+        throwError(`Undo filter of slice ${sliceName} refers to action ${type} of another slice`)
+      }
+      this._undoPoints[type] = true
+    })
+  }
+
   _createBoundAction = (type) => (payload, meta) => {
+    // Starting and failing actions don't carry the payload their reducer expects, e.g. a failing one carries an error
+    if (process.env.NODE_ENV !== 'production' && this._payloadSchemas[type] &&
+      isReducible(this._getActionStatus({ type, meta }))) {
+      this._validatePayload(type, payload)
+    }
+
+    if (process.env.NODE_ENV !== 'production' && this._isGuarded()) {
+      deepFreeze(payload)
+    }
+
     const action = { type, payload }
 
     if (meta) {
@@ -181,91 +899,279 @@ class StrictRedux {
       action.error = true
     }
 
+    if (this._batchedActions) {
+      this._batchedActions.push(action)
+      return action
+    }
+
+    if (this._recording) {
+      this._recording.actions.push({ ...action, timestamp: Date.now() })
+    }
+
     return this._store.dispatch(action)
   }
 
-  _createReducer = (sliceDescriptor) => (state = sliceDescriptor.initialState, action) => {
-    if (!Object.keys(this._actionCreators).includes(action.type) && !action.type.startsWith('@@')) {
-      throwError(`Unknown action type ${action.type}`)
+  _validatePayload = (type, payload) => {
+    const { payloadValidator = validatePayload } = this._options
+    const errors = payloadValidator(this._payloadSchemas[type], payload)
+
+    if (errors && errors.length) {
+      throwError(`Invalid payload of action ${type}: ${errors.map(({ path, message }) => `${path} ${message}`).join('; ')}`)
+    }
+  }
+
+  _createBoundEffect = (type, effect) => (payload, meta) => {
+    const [pending, fulfilled, rejected] = EffectStages
+      .map(stage => this._createBoundAction(`${type}${this._separator}${stage}`))
+
+    this._createBoundAction(type)(payload, meta)
+    pending(payload, meta)
+
+    // Promise constructor is used to catch errors thrown by synchronous effects as well
+    return new Promise(resolve => resolve(effect(payload, {
+      select: this.select,
+      selectOne: this.selectOne,
+      getAction: this.getAction,
+      getActions: this.getActions
+    }))).then(result => {
+      fulfilled(result, meta)
+      return result
+    }, error => {
+      // The error is saved in state, so it is not rethrown. Otherwise every call of the action creator, which result
+      // is not awaited, would end up with an unhandled rejection
+      rejected(error, meta)
+    })
+  }
+
+  // Points at derived slices, when an action is addressed to one of them
+  _throwUnknownAction = (type, message) => {
+    const derivedSliceName = Object.keys(this._slices).find(sliceName => isDerivedSlice(this._slices[sliceName]) &&
+      type.startsWith(`${sliceName}${this._separator}`)
+    )
+
+    if (derivedSliceName) {
+      throwError(`${message}. Slice ${derivedSliceName} is derived and cannot handle actions`)
     }
 
-    const sliceActionType = action.type.split(SliceSeparator)[1]
+    throwError(message)
+  }
+
+  _isGuarded = () => this._options.immutabilityGuard !== false
+
+  _createReducer = (sliceDescriptor) => (state = sliceDescriptor.initialState, action) => {
+    const nextState = this._reduceSlice(sliceDescriptor, state, action)
+
+    return process.env.NODE_ENV !== 'production' && this._isGuarded() ? deepFreeze(nextState) : nextState
+  }
+
+  _reduceSlice = (sliceDescriptor, state, action) => {
+    const sliceName = sliceDescriptor.sliceName
+
+    const metadata = this._actionMetadata.hasOwnProperty(action.type) && this._actionMetadata[action.type]
+
+    // Action types are matched by registered slice name, so that slice 'auth' does not handle actions of 'authors'
+    if (metadata && metadata.sliceName === sliceName) {
+      const status = getActionStatus(sliceDescriptor, metadata.actionName, action)
 
-    if (action.type.startsWith(sliceDescriptor.sliceName) && sliceDescriptor.actionReducers[sliceActionType]) {
-      return { ...state, ...sliceDescriptor.actionReducers[sliceActionType](state, action.payload) }
+      if (!isReducible(status)) {
+        return recordStatus(state, metadata.actionName, status, action.payload)
+      }
+
+      const reducer = sliceDescriptor.actionReducers[metadata.actionName]
+      const changedState = this._applyReducer(sliceDescriptor, reducer, state, action)
+      const nextState = status ? recordStatus(changedState, metadata.actionName, status, action.payload) : changedState
+
+      return this._undoPoints[action.type] ? recordHistory(sliceDescriptor, state, nextState) : nextState
+    } else if (metadata && sliceDescriptor.listensTo && sliceDescriptor.listensTo.hasOwnProperty(action.type)) {
+      if (!isReducible(this._getActionStatus(action))) {
+        return state
+      }
+
+      return this._applyReducer(sliceDescriptor, sliceDescriptor.listensTo[action.type], state, action)
     } else {
       return state
     }
   }
 
-  _createSelectors = (sliceDescriptor) => {
+  // Status is tracked by the slice owning the action, so listeners check it with that slice's descriptor
+  _getActionStatus = (action) => {
+    const { sliceName, actionName } = this._actionMetadata[action.type]
+    return getActionStatus(this._slices[sliceName], actionName, action)
+  }
+
+  _applyReducer = (sliceDescriptor, reducer, state, action) => {
     const sliceName = sliceDescriptor.sliceName
+    const changes = process.env.NODE_ENV !== 'production' && this._isGuarded()
+      ? callGuarded(reducer, [state, action.payload], [sliceName, 'payload'], `Reducer of slice ${sliceName} for action ${action.type}`)
+      : reducer(state, action.payload)
 
-    const defaultSelectors = createDefaultSelectors(sliceDescriptor)
+    if (this._options.strictState) {
+      this._checkStateChanges(sliceDescriptor, action.type, state, changes)
+    }
 
-    let allSelectors
-    if (typeof sliceDescriptor.createSelectors === 'function') {
-      allSelectors = { ...defaultSelectors, ...sliceDescriptor.createSelectors(this.select, this.selectOne) }
-    } else {
-      allSelectors = defaultSelectors
+    return { ...state, ...changes }
+  }
+
+  _checkStateChanges = (sliceDescriptor, type, state, changes) => {
+    const violations = validateStateChanges(sliceDescriptor.initialState, state, changes)
+
+    if (violations.length) {
+      const message = `Reducer of action ${type} ${violations.join('; ')}`
+
+      if (this._options.strictState === 'warn') {
+        console.warn(message)
+      } else {
+        throwError(message)
+      }
     }
+  }
+
+  _createSelectors = (sliceDescriptor) => {
+    const sliceName = sliceDescriptor.sliceName
+
+    const defaultSelectors = { ...createDefaultSelectors(sliceDescriptor), ...sliceDescriptor.generatedSelectors }
+    const customSelectors = typeof sliceDescriptor.createSelectors === 'function'
+      ? sliceDescriptor.createSelectors(this.select, this.selectOne)
+      : {}
+
+    validateSelectorNames(sliceName, customSelectors, defaultSelectors)
+
+    const allSelectors = { ...defaultSelectors, ...customSelectors }
 
     Object.keys(allSelectors).forEach(sliceSelectorName => {
-      const fullName = `${sliceName}${SliceSeparator}${sliceSelectorName}`
-      this._selectors[fullName] = (options, maybeState) => {
+      const fullName = `${sliceName}${this._separator}${sliceSelectorName}`
+      this._selectorMetadata[fullName] = {
+        name: fullName,
+        sliceName,
+        selectorName: sliceSelectorName,
+        autoGenerated: !customSelectors.hasOwnProperty(sliceSelectorName)
+      }
+      let prevState
+
+      const selector = (options, maybeState) => {
+        // Selectors obtained before their slice was removed fail the same way as lookups of unknown ones, while
+        // selectors obtained before they were mocked return mocked values
+        if (this._selectors[fullName] !== selector) {
+          return this._mockedSelectors[fullName] === selector
+            ? this._selectors[fullName](options, maybeState)
+            : throwError(`Selector ${fullName} not found`)
+        }
+
         const state = maybeState || this._store.getState()
 
         // Selector factories get only their own state slice. If something is changed outside of that slice,
         // memoized slice selectors dependant on other slices won't notice that change. To fix this, we create new
         // copy of the state slice any time the whole state is changed.
-        const stateSlice = (this._selectors[fullName].prevState === state) ? state[sliceName] : { ...state[sliceName] }
-        this._selectors[fullName].prevState = state
+        const stateSlice = (prevState === state) ? state[sliceName] : { ...state[sliceName] }
+        prevState = state
+
+        if (process.env.NODE_ENV !== 'production' && this._isGuarded()) {
+          return callGuarded(allSelectors[sliceSelectorName], [deepFreeze(stateSlice), options], [sliceName, 'options'], `Selector ${fullName} of slice ${sliceName}`)
+        }
 
         return allSelectors[sliceSelectorName](stateSlice, options)
       }
+
+      this._selectors[fullName] = selector
     })
   }
 
-  _normalizeQuery = (queryString, propertyName) => {
+  // Replaces a selector in tests. Query results are cached with selectors they resolve to, so the cache is dropped
+  _mockSelector = (selectorName, mock) => {
+    const selector = this.getSelector(selectorName)
+
+    if (!this._mockedSelectors.hasOwnProperty(selectorName)) {
+      this._mockedSelectors[selectorName] = selector
+    }
+    this._selectors[selectorName] = mock
+    this._queryCache = createQueryCache()
+  }
+
+  _resolveQuery = (queryString, propertyName) => {
     if (typeof queryString !== 'string') {
       throwError(`Expecting query of type 'string'. Got ${queryString} instead`)
     }
 
-    return queryString.split(QuerySeparator).reduce((acc, queryPart) => {
-      // Trim query part to support multiline queries and queries with indentation
-      const queryClause = queryPart.trim()
-      const names = []
+    const cache = this._queryCache[propertyName].names
+    if (!cache.hasOwnProperty(queryString)) {
+      cache[queryString] = resolveQuery(queryString, Object.keys(this[propertyName]), {
+        queryName: propertyName,
+        separator: this._separator,
+        getSliceName: name => (this._actionMetadata[name] || this._selectorMetadata[name]).sliceName
+      })
+    }
 
-      // For queries, specifying state slice only, return all actions or selectors from the slice
-      if (!queryClause.includes(SliceSeparator)) {
-        names.push(...Object.keys(this[propertyName])
-          .filter(fieldName => fieldName.startsWith(queryClause))
-        )
-      } else {
-        this[propertyName][queryClause] && names.push(queryClause)
-      }
+    return cache[queryString]
+  }
 
-      if (!names.length) {
-        throwError(`Bad store query ${propertyName}: ${queryString}. Could not resolve ${queryClause}`)
-      }
+  // Returns the same object for the same query, so that props built from it pass shallow comparison
+  _pickByQuery = (queryString, propertyName) => {
+    const cache = this._queryCache[propertyName].values
+    if (!cache.hasOwnProperty(queryString)) {
+      const names = this._resolveQuery(queryString, propertyName)
+      cache[queryString] = Object.keys(names).reduce((acc, key) => ({ ...acc, [key]: this[propertyName][names[key]] }), {})
+    }
+
+    return cache[queryString]
+  }
+
+  // Returns the previous result, if none of selected values has changed, so that connected components don't re-render
+  _selectReusing = (queryString, options, state, previousResult) => {
+    const selectors = this.getSelectors(queryString)
+    const result = Object.keys(selectors).reduce((acc, name) => ({
+      ...acc,
+      [name]: selectors[name](options, state)
+    }), {})
+
+    return shallowEqual(result, previousResult) ? previousResult : result
+  }
+
+  // Resolves a query to a list of full names, ignoring aliases
+  _normalizeQuery = (queryString, propertyName) => {
+    const names = this._resolveQuery(queryString, propertyName)
+    return Object.keys(names).map(key => names[key])
+  }
+}
+
+
+function describeAction (sliceDescriptor, fullName, actionName) {
+  const originalReducers = sliceDescriptor.descriptor.actionReducers
+  const originalReducer = originalReducers.hasOwnProperty(actionName) ? originalReducers[actionName] : undefined
+  const reducer = originalReducer && (typeof originalReducer === 'function' ? originalReducer : originalReducer.reducer)
+
+  return {
+    name: fullName,
+    sliceName: sliceDescriptor.sliceName,
+    actionName,
+    arity: (reducer || sliceDescriptor.actionReducers[actionName]).length,
+    generated: !reducer
+  }
+}
 
-      return acc.concat(names)
-    }, [])
+// Resolved queries and objects built from them, keyed by query string. Dropped whenever slices are added or removed
+function createQueryCache () {
+  return {
+    _selectors: { names: {}, values: {} },
+    _actionCreators: { names: {}, values: {} },
+    selected: {}
   }
 }
 
+// Copies root state key by key, which is considerably faster than spreading an object with dozens of slices
+function withSliceState (state, sliceName, sliceState) {
+  return Object.keys(state).reduce((acc, key) => {
+    acc[key] = key === sliceName ? sliceState : state[key]
+    return acc
+  }, {})
+}
 
 function createDefaultSelectors (sliceDescriptor) {
-  return Object.keys(sliceDescriptor.initialState).reduce((acc, stateProperty) => ({
+  return Object.keys(sliceDescriptor.initialState).filter(key => !isHiddenKey(key)).reduce((acc, stateProperty) => ({
     ...acc,
     [stateProperty]: stateSlice => stateSlice[stateProperty]
   }), {})
 }
 
-function throwError (message) {
-  throw new Error(message)
-}
-
 
 export default StrictRedux
 
@@ -274,6 +1180,14 @@ export default StrictRedux
  * @namespace sliceDescriptor
  * @property {string} sliceName - Name of a state slice
  * @property {Object} initialState - Initial values of a state slice
- * @property {Object} actionReducers - Reducer functions for each supported action. Keys of this object are used to generate action creators, values are reducer functions
+ * @property {Object} actionReducers - Reducer functions for each supported action. Keys of this object are used to generate action creators, values are reducer functions or objects with 'reducer' function and payload 'schema'
+ * @property {Object=} payloadSchemas - Payload schemas for actions, keyed by action name. Payloads are validated before dispatch in development. Schema of the built-in validator is either a type name ('string', 'number', 'boolean', 'object', 'array', 'function' or 'any') or an object with optional 'type', 'required', 'enum', 'properties', 'additionalProperties' and 'items' fields
+ * @property {Object=} effects - Async functions, each receiving action payload and an object with [select]{@link StrictRedux#select}, [selectOne]{@link StrictRedux#selectOne}, [getAction]{@link StrictRedux#getAction} and [getActions]{@link StrictRedux#getActions} methods. For each effect an action creator is generated, which dispatches '<effect>' and '<effect>_pending' actions, runs the effect and then dispatches '<effect>_fulfilled' with its result or '<effect>_rejected' with an error. The action creator returns a promise, resolved with the result of the effect, or with undefined if it has failed. 'is<Effect>Pending' and '<effect>Error' state keys are added along with their selectors
+ * @property {Object=} persist - Persistence settings: 'keys' to persist (all initialState keys by default), 'storage' adapter (localStorage by default), 'throttle' interval of writes in milliseconds, 'version' of persisted state and 'migrations' - functions upgrading persisted state, keyed by version number they upgrade to. Persisted state is passed to a generated 'rehydrate' action when the slice is registered
+ * @property {(Object|boolean)=} entities - Entity collection settings: 'idKey' of entities ('id' by default) and 'sortComparer' - function comparing two entities to keep ids sorted (insertion order by default). The slice gets 'ids' and 'byId' state keys, 'addOne', 'addMany', 'upsertMany', 'updateOne' (payload is an object with 'id' and 'changes'), 'removeOne' (payload is an id), 'removeAll' and 'setAll' actions, as well as 'all', 'total' and 'getById' (id is passed as 'options.id') selectors
+ * @property {string[]=} trackStatus - Names of actions, which status is tracked. Dispatch a tracked action with 'meta.status' of 'start', 'done' or 'fail' to update its status. Reducer of the action runs only when it is done, while payload of a failed action is saved as its error. Status of all tracked actions is returned by generated 'status' selector as an object, keyed by action name, with 'loading' and 'error' fields
+ * @property {(Object|boolean)=} undoable - History settings: 'limit' of undo points (100 by default) and 'filter' - query, describing actions which create undo points (all actions of the slice by default, except for generated history, rehydration and effect lifecycle actions). Actions, which have not changed the slice state, create no undo points. Undoable slices get 'undo', 'redo' and 'clearHistory' actions, as well as 'canUndo' and 'canRedo' selectors
+ * @property {Object=} listensTo - Reducers for actions of other slices, keyed by full action type, e.g. 'auth_logout'. Each of them gets the state slice and action payload, like reducers in actionReducers do. Action types are checked against registered actions, when the store is created
  * @property {Function=} createSelectors - Gets [select]{@link StrictRedux#select} and [selectOne]{@link StrictRedux#selectOne} methods of a StrictRedux instance and returns an object with custom selector functions for this slice. There is no need to create primitive getters manually, as they are generated automatically for each initialState property
+ * @property {Object=} derive - Selectors of a derived slice, keyed by selector name. Derived slice has neither state nor actions, so it may not declare initialState, actionReducers or other properties. Each derived selector is an object with 'inputs' query and 'compute' function, getting values selected by the query and selector options. Its result is memoized on input values and options
  */
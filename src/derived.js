@@ -0,0 +1,67 @@
+import { shallowEqual, throwError } from './utils'
+
+// Properties of regular slices, which make no sense for a slice without state
+const StatefulProperties = [
+  'initialState',
+  'actionReducers',
+  'payloadSchemas',
+  'effects',
+  'entities',
+  'trackStatus',
+  'listensTo',
+  'persist',
+  'undoable',
+  'createSelectors'
+]
+
+/**
+ * Tells if a slice descriptor describes a derived slice, i.e. a slice without state of its own, which only combines
+ * values of other slices' selectors.
+ */
+export function isDerivedSlice (sliceDescriptor) {
+  return !!sliceDescriptor.derive
+}
+
+/**
+ * Validates descriptor of a derived slice.
+ * @throws An error if the descriptor declares state, actions or malformed derived selectors
+ */
+export function validateDerivedSlice (sliceDescriptor, separator) {
+  const { sliceName, derive } = sliceDescriptor
+
+  StatefulProperties.forEach(property => sliceDescriptor[property] !== undefined &&
+    throwError(`Derived slice ${sliceName} may not declare ${property}`)
+  )
+
+  Object.keys(derive).forEach(selectorName => {
+    const { inputs, compute } = derive[selectorName]
+
+    if (typeof inputs !== 'string') {
+      throwError(`Derived selector ${sliceName}${separator}${selectorName} should declare inputs query`)
+    }
+    if (typeof compute !== 'function') {
+      throwError(`Derived selector ${sliceName}${separator}${selectorName} should declare compute function`)
+    }
+  })
+}
+
+/**
+ * Creates a selector, computing its value from values of input selectors. Input selectors are queried on each call,
+ * while compute function is called only when any of input values or options has changed.
+ * @param {Object} derivedSelector - Inputs query and compute function
+ * @param {Function} select - [select()]{@link StrictRedux#select} method of a StrictRedux instance
+ * @return {Function} Selector, accepting options and state
+ */
+export function createDerivedSelector ({ inputs, compute }, select) {
+  let last
+
+  return (options, state) => {
+    const values = select(inputs, options, state)
+
+    if (!last || !shallowEqual(values, last.values) || !shallowEqual(options, last.options)) {
+      last = { values, options, result: compute(values, options) }
+    }
+
+    return last.result
+  }
+}
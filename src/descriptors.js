@@ -0,0 +1,87 @@
+import { applyEffects } from './effects'
+import { applyEntities } from './entities'
+import { applyHistory } from './history'
+import { applyPersistence } from './persistence'
+import { applyStatusTracking } from './status'
+import { HiddenKeyPrefix, throwError } from './utils'
+import { applyPayloadSchemas } from './validation'
+
+// Default separator between slice name and action or selector name
+export const SliceSeparator = '_'
+
+// Characters, which have special meaning in queries
+const ReservedCharacters = /[,!*\s]/
+
+// Functions expanding slice descriptors with generated state keys and action reducers, applied in this order
+const DescriptorExpanders = [
+  applyPayloadSchemas,
+  applyEntities,
+  applyEffects,
+  applyStatusTracking,
+  applyPersistence,
+  applyHistory
+]
+
+/**
+ * Expands slice descriptor with generated state keys, action reducers and selectors. Original descriptor is kept
+ * in 'descriptor' property of the result.
+ */
+export function expandSliceDescriptor (sliceDescriptor, separator = SliceSeparator) {
+  return {
+    ...DescriptorExpanders.reduce((acc, expand) => expand(acc, separator), sliceDescriptor),
+    descriptor: sliceDescriptor
+  }
+}
+
+/**
+ * Validates a separator between slice name and action or selector name.
+ * @throws An error if separator is not a non-empty string or contains characters reserved for queries
+ */
+export function validateSeparator (separator) {
+  if (typeof separator !== 'string' || !separator || ReservedCharacters.test(separator) || separator.includes('@')) {
+    throwError(`Invalid slice separator '${separator}'. Separator may not be empty or contain '@', ',', '!', '*' and whitespace`)
+  }
+}
+
+/**
+ * Validates names, declared by a slice descriptor: slice name, initial state keys, action reducers and effects.
+ * Names may not contain characters reserved for queries or start with '@@', slice name may not contain separator.
+ * @throws An error, naming the offending name
+ */
+export function validateSliceNames (sliceDescriptor, separator) {
+  const { sliceName, initialState = {}, actionReducers = {}, effects = {} } = sliceDescriptor
+
+  if (typeof sliceName !== 'string' || !sliceName) {
+    throwError(`Expecting slice name of type 'string'. Got ${sliceName} instead`)
+  }
+  validateName(sliceName, 'Slice name')
+  if (sliceName.includes(separator)) {
+    throwError(`Slice name '${sliceName}' may not contain separator '${separator}'`)
+  }
+
+  Object.keys(initialState).forEach(key => validateName(key, `State key of slice ${sliceName}`))
+  Object.keys(actionReducers).forEach(name => validateName(name, `Action name of slice ${sliceName}`))
+  Object.keys(effects).forEach(name => validateName(name, `Effect name of slice ${sliceName}`))
+}
+
+/**
+ * Validates names of custom selectors and checks them against auto-generated selectors of the same slice.
+ * @throws An error, naming the offending selector
+ */
+export function validateSelectorNames (sliceName, customSelectors, defaultSelectors) {
+  Object.keys(customSelectors).forEach(name => {
+    validateName(name, `Selector name of slice ${sliceName}`)
+    if (defaultSelectors.hasOwnProperty(name)) {
+      throwError(`Custom selector ${name} of slice ${sliceName} conflicts with auto-generated selector of the same name`)
+    }
+  })
+}
+
+function validateName (name, description) {
+  if (ReservedCharacters.test(name)) {
+    throwError(`${description} '${name}' may not contain ',', '!', '*' and whitespace`)
+  }
+  if (name.startsWith(HiddenKeyPrefix)) {
+    throwError(`${description} '${name}' may not start with '${HiddenKeyPrefix}'`)
+  }
+}
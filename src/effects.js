@@ -0,0 +1,48 @@
+import { capitalize, throwError } from './utils'
+
+export const EffectStages = ['pending', 'fulfilled', 'rejected']
+
+/**
+ * Expands slice descriptor with state keys and action reducers, tracking lifecycle of each effect. For an effect
+ * named 'login' there are 'isLoginPending' and 'loginError' state keys, a no-op 'login' action reducer triggering the
+ * effect, and 'login_pending', 'login_fulfilled', 'login_rejected' reducers. Custom reducers for lifecycle actions may
+ * be declared in actionReducers under the same names, their results are merged with the generated ones.
+ */
+export function applyEffects (sliceDescriptor, separator) {
+  const { sliceName, effects = {} } = sliceDescriptor
+  const initialState = { ...sliceDescriptor.initialState }
+  const actionReducers = { ...sliceDescriptor.actionReducers }
+
+  Object.keys(effects).forEach(effectName => {
+    const pendingKey = `is${capitalize(effectName)}Pending`
+    const errorKey = `${effectName}Error`
+    const [pendingName, fulfilledName, rejectedName] = EffectStages.map(stage => `${effectName}${separator}${stage}`)
+
+    if (typeof effects[effectName] !== 'function') {
+      throwError(`Effect ${sliceName}${separator}${effectName} is not a function`)
+    }
+    if (actionReducers[effectName]) {
+      throwError(`Effect ${sliceName}${separator}${effectName} conflicts with action reducer of the same name`)
+    }
+    [pendingKey, errorKey].forEach(key => initialState.hasOwnProperty(key) &&
+      throwError(`Effect ${sliceName}${separator}${effectName} conflicts with state key ${key}`)
+    )
+
+    Object.assign(initialState, { [pendingKey]: false, [errorKey]: undefined })
+    Object.assign(actionReducers, {
+      [effectName]: () => ({}),
+      [pendingName]: mergeReducer(actionReducers[pendingName], () => ({ [pendingKey]: true, [errorKey]: undefined })),
+      [fulfilledName]: mergeReducer(actionReducers[fulfilledName], () => ({ [pendingKey]: false })),
+      [rejectedName]: mergeReducer(actionReducers[rejectedName], error => ({ [pendingKey]: false, [errorKey]: error }))
+    })
+  })
+
+  return { ...sliceDescriptor, initialState, actionReducers, effects }
+}
+
+function mergeReducer (reducer, getStateChanges) {
+  return (stateSlice, payload) => ({
+    ...(reducer ? reducer(stateSlice, payload) : {}),
+    ...getStateChanges(payload)
+  })
+}
@@ -0,0 +1,127 @@
+import { throwError } from './utils'
+
+export const EntityActions = ['addOne', 'addMany', 'upsertMany', 'updateOne', 'removeOne', 'removeAll', 'setAll']
+
+const EntityStateKeys = ['ids', 'byId']
+const DefaultIdKey = 'id'
+
+/**
+ * Expands slice descriptor of a slice, holding a normalized entity collection, with 'ids' and 'byId' state keys,
+ * CRUD action reducers and 'all', 'total' and 'getById' selectors. Ids keep insertion order, unless sortComparer is
+ * given, in which case they are kept sorted by comparing entities.
+ */
+export function applyEntities (sliceDescriptor, separator) {
+  const { sliceName, entities } = sliceDescriptor
+
+  if (!entities) {
+    return sliceDescriptor
+  }
+
+  const { idKey = DefaultIdKey, sortComparer } = entities === true ? {} : entities
+
+  EntityActions.forEach(actionName => sliceDescriptor.actionReducers[actionName] &&
+    throwError(`Action reducer ${sliceName}${separator}${actionName} conflicts with entities of the slice`)
+  )
+  EntityStateKeys.forEach(key => sliceDescriptor.initialState.hasOwnProperty(key) &&
+    throwError(`State key ${key} of slice ${sliceName} conflicts with entities of the slice`)
+  )
+
+  const sort = ({ ids, byId }) => ({
+    ids: sortComparer ? ids.slice().sort((a, b) => sortComparer(byId[a], byId[b])) : ids,
+    byId
+  })
+
+  // Adds new entities to the end of the collection. Existing ones are either merged with new values or left intact
+  const add = (stateSlice, items, merge) => {
+    const ids = stateSlice.ids.slice()
+    const byId = { ...stateSlice.byId }
+
+    items.forEach(item => {
+      const id = item[idKey]
+
+      if (!byId.hasOwnProperty(id)) {
+        ids.push(id)
+        byId[id] = item
+      } else if (merge) {
+        byId[id] = { ...byId[id], ...item }
+      }
+    })
+
+    return sort({ ids, byId })
+  }
+
+  const updateOne = (stateSlice, { id, changes }) => {
+    if (!stateSlice.byId.hasOwnProperty(id)) {
+      return {}
+    }
+
+    const byId = { ...stateSlice.byId }
+    const nextEntity = { ...byId[id], ...changes }
+    const nextId = nextEntity[idKey]
+
+    if (!isSameId(nextId, id) && byId.hasOwnProperty(nextId)) {
+      throwError(`Could not change id of entity ${id} of slice ${sliceName} to ${nextId}, as it is already taken`)
+    }
+
+    delete byId[id]
+
+    return sort({
+      ids: stateSlice.ids.map(existingId => isSameId(existingId, id) ? nextId : existingId),
+      byId: { ...byId, [nextId]: nextEntity }
+    })
+  }
+
+  const removeOne = (stateSlice, id) => {
+    if (!stateSlice.byId.hasOwnProperty(id)) {
+      return {}
+    }
+
+    const byId = { ...stateSlice.byId }
+    delete byId[id]
+
+    return { ids: stateSlice.ids.filter(existingId => !isSameId(existingId, id)), byId }
+  }
+
+  return {
+    ...sliceDescriptor,
+    initialState: { ...sliceDescriptor.initialState, ids: [], byId: {} },
+    actionReducers: {
+      ...sliceDescriptor.actionReducers,
+      addOne: (stateSlice, entity) => add(stateSlice, [entity], false),
+      addMany: (stateSlice, items) => add(stateSlice, items, false),
+      upsertMany: (stateSlice, items) => add(stateSlice, items, true),
+      updateOne,
+      removeOne,
+      removeAll: () => ({ ids: [], byId: {} }),
+      setAll: (stateSlice, items) => add({ ids: [], byId: {} }, items, false)
+    },
+    generatedSelectors: {
+      ...sliceDescriptor.generatedSelectors,
+      all: createAllSelector(),
+      total: stateSlice => stateSlice.ids.length,
+      getById: (stateSlice, { id } = {}) => stateSlice.byId[id]
+    }
+  }
+}
+
+// Ids are keys of byId, so that 1 and '1' refer to the same entity
+function isSameId (a, b) {
+  return String(a) === String(b)
+}
+
+// Returns the same array as long as the collection is not changed, so that connected components don't re-render
+function createAllSelector () {
+  let lastIds
+  let lastById
+  let lastEntities
+
+  return ({ ids, byId }) => {
+    if (ids !== lastIds || byId !== lastById) {
+      lastIds = ids
+      lastById = byId
+      lastEntities = ids.map(id => byId[id])
+    }
+
+    return lastEntities
+  }
+}
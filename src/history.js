@@ -0,0 +1,85 @@
+import { HiddenKeyPrefix, isHiddenKey, shallowEqual, throwError } from './utils'
+
+export const HistoryKey = `${HiddenKeyPrefix}history`
+export const HistoryActions = ['undo', 'redo', 'clearHistory']
+
+const EmptyHistory = { past: [], future: [] }
+const DefaultLimit = 100
+
+/**
+ * Expands slice descriptor of an undoable slice with hidden history state, 'undo', 'redo' and 'clearHistory' action
+ * reducers, and 'canUndo', 'canRedo' selectors.
+ */
+export function applyHistory (sliceDescriptor, separator) {
+  const { sliceName, undoable } = sliceDescriptor
+
+  if (!undoable) {
+    return sliceDescriptor
+  }
+
+  HistoryActions.forEach(actionName => sliceDescriptor.actionReducers[actionName] &&
+    throwError(`Action reducer ${sliceName}${separator}${actionName} conflicts with history of the slice`)
+  )
+
+  return {
+    ...sliceDescriptor,
+    initialState: { ...sliceDescriptor.initialState, [HistoryKey]: EmptyHistory },
+    actionReducers: {
+      ...sliceDescriptor.actionReducers,
+      undo: stateSlice => travel(stateSlice, 'past', 'future'),
+      redo: stateSlice => travel(stateSlice, 'future', 'past'),
+      clearHistory: () => ({ [HistoryKey]: EmptyHistory })
+    },
+    generatedSelectors: {
+      ...sliceDescriptor.generatedSelectors,
+      canUndo: stateSlice => stateSlice[HistoryKey].past.length > 0,
+      canRedo: stateSlice => stateSlice[HistoryKey].future.length > 0
+    }
+  }
+}
+
+/**
+ * Saves slice state preceding an action as an undo point and drops states, which could be restored by redo. Actions,
+ * which have not changed visible state, e.g. effect triggers, create no undo point.
+ */
+export function recordHistory (sliceDescriptor, prevState, nextState) {
+  const { limit = DefaultLimit } = sliceDescriptor.undoable
+  const { past } = prevState[HistoryKey]
+  const prevVisibleState = withoutHistory(prevState)
+
+  if (shallowEqual(prevVisibleState, withoutHistory(nextState))) {
+    return nextState
+  }
+
+  return {
+    ...nextState,
+    [HistoryKey]: {
+      past: [...past, prevVisibleState].slice(-limit),
+      future: []
+    }
+  }
+}
+
+function travel (stateSlice, from, to) {
+  const history = stateSlice[HistoryKey]
+
+  if (!history[from].length) {
+    return {}
+  }
+
+  return {
+    ...history[from][history[from].length - 1],
+    [HistoryKey]: {
+      [from]: history[from].slice(0, -1),
+      [to]: [...history[to], withoutHistory(stateSlice)]
+    }
+  }
+}
+
+// Undo points keep only visible state, so that history and other hidden keys are not restored by undo
+function withoutHistory (stateSlice) {
+  return Object.keys(stateSlice).filter(key => !isHiddenKey(key)).reduce((acc, key) => ({
+    ...acc,
+    [key]: stateSlice[key]
+  }), {})
+}
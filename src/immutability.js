@@ -0,0 +1,67 @@
+import { throwError } from './utils'
+
+/**
+ * Freezes an object and all objects reachable from it. Already frozen objects are skipped along with their
+ * children, so that only new parts of the state are traversed after each reduce.
+ */
+export function deepFreeze (value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value)
+    Object.keys(value).forEach(key => deepFreeze(value[key]))
+  }
+  return value
+}
+
+/**
+ * Calls a function with deeply frozen arguments. An attempt to mutate them throws a TypeError, which doesn't tell
+ * much about the mutated property. In that case the function is called once again with arguments wrapped into
+ * proxies, tracking property paths, and a descriptive error is thrown instead.
+ * @param {Function} fn - Function to call, e.g. a reducer or a selector
+ * @param {Array} args - Arguments of the function
+ * @param {string[]} argNames - Names of the arguments, used as roots of property paths
+ * @param {string} description - Description of the function, used in error message
+ */
+export function callGuarded (fn, args, argNames, description) {
+  try {
+    return fn(...args)
+  } catch (error) {
+    const mutatedPath = error instanceof TypeError && typeof Proxy !== 'undefined' && findMutation(fn, args, argNames)
+
+    if (!mutatedPath) {
+      throw error
+    }
+    throwError(`${description} mutated ${mutatedPath}`)
+  }
+}
+
+function findMutation (fn, args, argNames) {
+  let mutatedPath
+
+  try {
+    fn(...args.map((arg, index) => createTracker(arg, argNames[index], path => { mutatedPath = path })))
+  } catch (error) {
+    // Error is expected here, as the tracker throws on the first mutation
+  }
+
+  return mutatedPath
+}
+
+function createTracker (target, path, onMutation) {
+  if (!target || typeof target !== 'object') {
+    return target
+  }
+
+  const getPath = key => Array.isArray(target) && /^\d+$/.test(key) ? `${path}[${key}]` : `${path}.${String(key)}`
+  const mutate = (_, key) => {
+    onMutation(getPath(key))
+    throw new TypeError(`Cannot mutate ${getPath(key)}`)
+  }
+
+  // Proxy wraps a copy, as proxies of frozen objects may not return anything but original property values
+  return new Proxy(Array.isArray(target) ? [...target] : { ...target }, {
+    get: (copy, key) => typeof key === 'symbol' ? copy[key] : createTracker(copy[key], getPath(key), onMutation),
+    set: mutate,
+    deleteProperty: mutate,
+    defineProperty: mutate
+  })
+}
@@ -1,3 +1,10 @@
 import StrictRedux from './StrictRedux'
 
+export {
+  createAsyncStorage,
+  createLocalStorage,
+  createMemoryStorage,
+  createSessionStorage
+} from './persistence'
+
 export default StrictRedux
@@ -0,0 +1,223 @@
+import { isHiddenKey, throwError } from './utils'
+
+const StorageKeyPrefix = 'strict-redux:'
+export const RehydrateAction = 'rehydrate'
+
+/**
+ * Storage adapter, backed by window.localStorage. Does nothing where web storage is not available, e.g. on the server.
+ */
+export function createLocalStorage () {
+  return createWebStorage('localStorage')
+}
+
+/**
+ * Storage adapter, backed by window.sessionStorage. Does nothing where web storage is not available, e.g. on the server.
+ */
+export function createSessionStorage () {
+  return createWebStorage('sessionStorage')
+}
+
+/**
+ * Storage adapter, keeping data in memory. Useful for tests and as a fallback.
+ * @param {Object=} items - Initial storage content, keyed by storage key
+ */
+export function createMemoryStorage (items = {}) {
+  const data = { ...items }
+
+  return {
+    getItem: key => data.hasOwnProperty(key) ? data[key] : null,
+    setItem: (key, value) => { data[key] = value },
+    removeItem: key => { delete data[key] }
+  }
+}
+
+/**
+ * Storage adapter for asynchronous key-value stores, e.g. IndexedDB wrappers or React Native AsyncStorage.
+ * @param {Object} store - Object with get(key), set(key, value) and remove(key) methods, returning promises
+ */
+export function createAsyncStorage ({ get, set, remove }) {
+  return {
+    getItem: key => Promise.resolve(get(key)),
+    setItem: (key, value) => Promise.resolve(set(key, value)),
+    removeItem: key => Promise.resolve(remove(key))
+  }
+}
+
+/**
+ * Expands slice descriptor with a 'rehydrate' action reducer, replacing persisted keys of the slice state.
+ * @throws An error if any of persisted keys is not declared in initialState
+ */
+export function applyPersistence (sliceDescriptor, separator) {
+  const { sliceName, initialState, persist } = sliceDescriptor
+
+  if (!persist) {
+    return sliceDescriptor
+  }
+  if (sliceDescriptor.actionReducers[RehydrateAction]) {
+    throwError(`Action reducer ${sliceName}${separator}${RehydrateAction} conflicts with persistence of the slice`)
+  }
+
+  const { keys = [] } = persist
+  keys.forEach(stateKey => initialState.hasOwnProperty(stateKey) ||
+    throwError(`Persisted key ${sliceName}.${stateKey} is not declared in initialState`)
+  )
+
+  return {
+    ...sliceDescriptor,
+    actionReducers: {
+      ...sliceDescriptor.actionReducers,
+      [RehydrateAction]: (stateSlice, persistedState) => persistedState
+    }
+  }
+}
+
+/**
+ * Reads persisted slice state, passes it to rehydrate function and then writes slice state to the storage each time
+ * it changes. Keys changed while persisted state is being read keep their values. A failed read is reported as
+ * a warning and treated as absence of persisted state. A failed write is reported as a warning as well.
+ * @return {Function} Function, which stops persistence, writing pending changes first
+ */
+export function startPersistence ({ sliceDescriptor, getSliceState, subscribe, rehydrate }) {
+  const { sliceName, initialState, persist } = sliceDescriptor
+  const {
+    keys = Object.keys(initialState).filter(stateKey => !isHiddenKey(stateKey)),
+    storage = createLocalStorage(),
+    throttle = 0,
+    version = 0,
+    migrations = {},
+    key = `${StorageKeyPrefix}${sliceName}`
+  } = persist
+
+  let isRehydrated = false
+  let isStopped = false
+  let writeTimeout
+  let writtenState
+  // State before reading, to tell which keys have been changed by actions dispatched while reading asynchronously
+  const stateBeforeRead = getSliceState()
+
+  // A failed write must not break the dispatch, which triggered it, so it is reported as a warning. The next change
+  // of the slice state is written as usual
+  const onWriteError = error => {
+    console.warn(`Could not persist state of slice ${sliceName}: ${error && error.message}`)
+  }
+
+  const write = () => {
+    writeTimeout = undefined
+    writtenState = getSliceState()
+
+    let result
+    try {
+      result = storage.setItem(key, JSON.stringify({ version, state: pickKeys(writtenState, keys) }))
+    } catch (error) {
+      onWriteError(error)
+    }
+
+    if (result && typeof result.then === 'function') {
+      result.then(undefined, onWriteError)
+    }
+  }
+
+  const onRead = serialized => {
+    if (isStopped) {
+      return
+    }
+
+    isRehydrated = true
+    const persistedState = migrate(parse(serialized), version, migrations)
+
+    if (persistedState && typeof persistedState === 'object') {
+      const sliceState = getSliceState()
+      rehydrate(pickKeys(persistedState, keys.filter(stateKey => sliceState[stateKey] === stateBeforeRead[stateKey])))
+    }
+  }
+
+  const onReadError = error => {
+    console.warn(`Could not read persisted state of slice ${sliceName}: ${error && error.message}`)
+    onRead(undefined)
+  }
+
+  // Slice state is not written until it is rehydrated, otherwise initial state would overwrite the persisted one
+  const unsubscribe = subscribe(() => {
+    if (!isRehydrated || writeTimeout || getSliceState() === writtenState) {
+      return
+    }
+
+    if (throttle) {
+      writeTimeout = setTimeout(write, throttle)
+    } else {
+      write()
+    }
+  })
+
+  let serialized
+  try {
+    serialized = storage.getItem(key)
+  } catch (error) {
+    // Reported the same way as a failure of asynchronous storage
+    serialized = Promise.reject(error)
+  }
+
+  if (serialized && typeof serialized.then === 'function') {
+    serialized.then(onRead, onReadError)
+  } else {
+    onRead(serialized)
+  }
+
+  return () => {
+    isStopped = true
+    unsubscribe()
+
+    // The last change would be lost otherwise
+    if (writeTimeout) {
+      clearTimeout(writeTimeout)
+      write()
+    }
+  }
+}
+
+function createWebStorage (storageName) {
+  // Accessing web storage throws in some browsers when it is disabled by privacy settings
+  const getStorage = () => {
+    try {
+      return typeof window !== 'undefined' ? window[storageName] : undefined
+    } catch (error) {
+      return undefined
+    }
+  }
+
+  return {
+    getItem: key => getStorage() ? getStorage().getItem(key) : null,
+    setItem: (key, value) => getStorage() && getStorage().setItem(key, value),
+    removeItem: key => getStorage() && getStorage().removeItem(key)
+  }
+}
+
+function parse (serialized) {
+  try {
+    return serialized ? JSON.parse(serialized) : undefined
+  } catch (error) {
+    return undefined
+  }
+}
+
+/**
+ * Applies migrations, keyed by version number, one by one, starting from the version next to the persisted one.
+ * State persisted by a newer version of the slice is discarded.
+ */
+function migrate (persisted, version, migrations) {
+  if (!persisted || typeof persisted !== 'object') {
+    return undefined
+  }
+
+  const persistedVersion = persisted.version || 0
+  if (persistedVersion > version) {
+    return undefined
+  }
+
+  return Array.from({ length: version - persistedVersion }, (_, index) => persistedVersion + index + 1)
+    .reduce((state, nextVersion) => migrations[nextVersion] ? migrations[nextVersion](state) : state, persisted.state)
+}
+
+function pickKeys (object, keys) {
+  return keys.filter(key => object.hasOwnProperty(key)).reduce((acc, key) => ({ ...acc, [key]: object[key] }), {})
+}
@@ -0,0 +1,92 @@
+import { throwError } from './utils'
+
+const QuerySeparator = ','
+const GlobWildcard = '*'
+
+// Alias, replacing each name with the name without slice prefix
+export const StripSliceAlias = '*'
+
+const ClausePattern = /^(!?)\s*([^\s!]+)(?:\s+as\s+(\S+))?$/
+
+/**
+ * Resolves a query against known names. A query consists of clauses, separated by commas. Each clause is a full
+ * name, a slice name or a glob with '*' wildcards, optionally followed by 'as <alias>' to rename the result key, or
+ * 'as *' to strip slice prefix from result keys. Clauses prefixed with '!' exclude names from the result.
+ * @param {string} queryString - Query
+ * @param {string[]} knownNames - Full names to resolve the query against
+ * @param {Object} options - Resolution options
+ * @param {string} options.queryName - Name of the queried registry, used in error messages
+ * @param {string} options.separator - Separator between slice name and the rest of a full name
+ * @param {Function} options.getSliceName - Function, returning slice name of a full name
+ * @return {Object} Full names, keyed by result keys
+ * @throws An error, pointing at the failing clause, if any of clauses could not be resolved
+ */
+export function resolveQuery (queryString, knownNames, { queryName, separator, getSliceName }) {
+  const fail = message => throwError(`Bad store query ${queryName}: ${queryString}. ${message}`)
+
+  const excludedNames = []
+  const includedNames = queryString.split(QuerySeparator)
+    // Trim query part to support multiline queries and queries with indentation
+    .map(queryPart => queryPart.trim())
+    .filter(queryClause => queryClause)
+    .reduce((acc, queryClause) => {
+      const [, exclusion, pattern, alias] = queryClause.match(ClausePattern) || fail(`Could not parse ${queryClause}`)
+      const names = matchNames(pattern, knownNames, getSliceName)
+
+      if (!names.length) {
+        fail(`Could not resolve ${queryClause}`)
+      }
+
+      if (exclusion) {
+        if (alias) {
+          fail(`Exclusion may not have an alias: ${queryClause}`)
+        }
+        excludedNames.push(...names)
+        return acc
+      }
+
+      if (alias && alias !== StripSliceAlias && names.length > 1) {
+        fail(`Alias may be given to a single name only, got ${names.length} names in ${queryClause}`)
+      }
+
+      return names.reduce((result, name) => {
+        const key = alias === StripSliceAlias
+          ? name.slice(getSliceName(name).length + separator.length)
+          : alias || name
+
+        if (result.hasOwnProperty(key) && result[key] !== name) {
+          fail(`Key ${key} is already taken by ${result[key]} in ${queryClause}`)
+        }
+
+        return { ...result, [key]: name }
+      }, acc)
+    }, {})
+
+  const resolvedNames = Object.keys(includedNames)
+    .filter(key => !excludedNames.includes(includedNames[key]))
+    .reduce((acc, key) => ({ ...acc, [key]: includedNames[key] }), {})
+
+  if (!Object.keys(resolvedNames).length) {
+    fail('Query resolves to nothing')
+  }
+
+  return resolvedNames
+}
+
+function matchNames (pattern, knownNames, getSliceName) {
+  if (pattern.includes(GlobWildcard)) {
+    const globPattern = new RegExp(`^${pattern.split(GlobWildcard).map(escapeRegExp).join('.*')}$`)
+    return knownNames.filter(name => globPattern.test(name))
+  }
+
+  if (knownNames.includes(pattern)) {
+    return [pattern]
+  }
+
+  // For clauses, specifying state slice only, return all actions or selectors from the slice
+  return knownNames.filter(name => getSliceName(name) === pattern)
+}
+
+function escapeRegExp (string) {
+  return string.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
@@ -0,0 +1,98 @@
+import React, { createContext, useContext, useEffect, useLayoutEffect, useMemo, useReducer, useRef } from 'react'
+
+import { throwError } from './utils'
+
+const StrictReduxContext = createContext()
+
+// Layout effects warn during server render, where neither of effects runs anyway
+const useIsomorphicLayoutEffect = typeof window === 'undefined' ? useEffect : useLayoutEffect
+
+/**
+ * Makes a StrictRedux instance available to hooks of all nested components.
+ * @param {Object} props - Component props
+ * @param {StrictRedux} props.store - StrictRedux instance
+ * @param {*} props.children - Components, using the store
+ */
+export function StrictReduxProvider ({ store, children }) {
+  return <StrictReduxContext.Provider value={store}>{children}</StrictReduxContext.Provider>
+}
+
+/**
+ * @return {StrictRedux} StrictRedux instance, given to the closest StrictReduxProvider
+ * @throws An error if the component is not wrapped into StrictReduxProvider
+ */
+export function useStrictRedux () {
+  return useContext(StrictReduxContext) ||
+    throwError('StrictRedux instance not found. Wrap the component tree into <StrictReduxProvider store={...}>')
+}
+
+/**
+ * Selects values with a query and re-renders the component only when any of them changes.
+ * @param {string} queryString - Query, describing needed selectors. See [getSelectors]{@link StrictRedux#getSelectors}
+ * @param {Object=} options - Options, passed to each selector, e.g. component props
+ * @return {Object} Object, containing values, returned by each selector function. The same object is returned as
+ * long as none of the values has changed
+ * @throws An error at render time if there is no selectors fitting any of the query clauses
+ */
+export function useSelect (queryString, options) {
+  const instance = useStrictRedux()
+  // Each component keeps its own previous result, so that components with different options don't replace it
+  const mapStateToProps = useMemo(() => instance.createMapStateToPropsFactory(queryString)(), [instance, queryString])
+
+  return useSubscribedValue(instance, () => mapStateToProps(undefined, options))
+}
+
+/**
+ * Selects a single value and re-renders the component only when it changes.
+ * @param {string} selectorName - Selector's full name
+ * @param {Object=} options - Options, passed to the selector, e.g. component props
+ * @return {*} Any value, returned by the selector function
+ * @throws An error at render time if there is no selector with such name
+ */
+export function useSelectOne (selectorName, options) {
+  const instance = useStrictRedux()
+
+  return useSubscribedValue(instance, () => instance.selectOne(selectorName, options))
+}
+
+/**
+ * @param {string} queryString - Query, describing needed actions. See [getActions]{@link StrictRedux#getActions}
+ * @return {Object} An object, containing requested action creators. The same object is returned on every render
+ * @throws An error at render time if there is no actions fitting any of the query clauses
+ */
+export function useActions (queryString) {
+  return useStrictRedux().getActions(queryString)
+}
+
+// Calls select at render time, so that query errors are thrown by the component using it, and re-renders the component
+// after dispatches, which change the selected value
+function useSubscribedValue (instance, select) {
+  const [, forceRender] = useReducer(count => count + 1, 0)
+  const value = select()
+  const latest = useRef()
+
+  useIsomorphicLayoutEffect(() => {
+    latest.current = { select, value }
+  })
+
+  useEffect(() => {
+    const checkForUpdates = () => {
+      try {
+        if (latest.current.select() !== latest.current.value) {
+          forceRender()
+        }
+      } catch (error) {
+        // Let the component throw the error at render, where error boundaries can catch it
+        forceRender()
+      }
+    }
+    const unsubscribe = instance.getStore().subscribe(checkForUpdates)
+
+    // State may have changed between render and subscription
+    checkForUpdates()
+
+    return unsubscribe
+  }, [instance])
+
+  return value
+}
@@ -0,0 +1,27 @@
+// Marks serialized Error objects, as JSON.stringify() drops all their properties
+const ErrorMarker = '@@error'
+
+/**
+ * Serializes a recording to JSON. Errors, wherever they are found in payloads or state, are serialized with their
+ * name, message and stack.
+ */
+export function serializeRecording (recording) {
+  return JSON.stringify(recording, (key, value) => value instanceof Error
+    ? { [ErrorMarker]: { name: value.name, message: value.message, stack: value.stack } }
+    : value
+  )
+}
+
+/**
+ * Parses JSON, produced by serializeRecording(), restoring Error objects.
+ */
+export function parseRecording (json) {
+  return JSON.parse(json, (key, value) => {
+    if (!value || !value[ErrorMarker]) {
+      return value
+    }
+
+    const { name, message, stack } = value[ErrorMarker]
+    return Object.assign(new Error(message), { name, stack })
+  })
+}
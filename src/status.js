@@ -0,0 +1,82 @@
+import { HiddenKeyPrefix, throwError } from './utils'
+
+export const StatusKey = `${HiddenKeyPrefix}status`
+
+const StatusSelector = 'status'
+const IdleStatus = { loading: false, error: undefined }
+
+// Action status for each value of 'meta.status'. Reducer of a tracked action runs only when it is done
+const Statuses = {
+  start: () => ({ loading: true, error: undefined }),
+  done: () => IdleStatus,
+  fail: error => ({ loading: false, error })
+}
+
+/**
+ * Expands slice descriptor of a slice, tracking status of some of its actions, with a hidden status map and
+ * a 'status' selector, returning it.
+ */
+export function applyStatusTracking (sliceDescriptor, separator) {
+  const { sliceName, trackStatus } = sliceDescriptor
+
+  if (!trackStatus) {
+    return sliceDescriptor
+  }
+  if (!Array.isArray(trackStatus)) {
+    throwError(`trackStatus of slice ${sliceName} should be an array of action names`)
+  }
+
+  trackStatus.forEach(actionName => sliceDescriptor.actionReducers.hasOwnProperty(actionName) ||
+    throwError(`Could not track status of unknown action ${sliceName}${separator}${actionName}`)
+  )
+  if (sliceDescriptor.initialState.hasOwnProperty(StatusSelector)) {
+    throwError(`State key ${StatusSelector} of slice ${sliceName} conflicts with status tracking`)
+  }
+
+  return {
+    ...sliceDescriptor,
+    initialState: {
+      ...sliceDescriptor.initialState,
+      [StatusKey]: trackStatus.reduce((acc, actionName) => ({ ...acc, [actionName]: IdleStatus }), {})
+    },
+    generatedSelectors: {
+      ...sliceDescriptor.generatedSelectors,
+      [StatusSelector]: stateSlice => stateSlice[StatusKey]
+    }
+  }
+}
+
+/**
+ * Gets status of a dispatched action from its 'meta.status' field.
+ * @return {string=} Status of the action or undefined, if the action has no status or its status is not tracked
+ * @throws An error if status is unknown
+ */
+export function getActionStatus (sliceDescriptor, actionName, action) {
+  const status = action.meta && action.meta.status
+
+  if (status === undefined || !sliceDescriptor.trackStatus || !sliceDescriptor.trackStatus.includes(actionName)) {
+    return undefined
+  }
+  if (!Statuses.hasOwnProperty(status)) {
+    throwError(`Unknown status ${status} of action ${action.type}. Expecting one of: ${Object.keys(Statuses).join(', ')}`)
+  }
+
+  return status
+}
+
+/**
+ * Tells if reducer of an action with a given status should run. Starting and failing actions only change the status.
+ */
+export function isReducible (status) {
+  return status === undefined || status === 'done'
+}
+
+/**
+ * Saves status of an action in the status map of a slice. Error of a failed action is taken from its payload.
+ */
+export function recordStatus (stateSlice, actionName, status, payload) {
+  return {
+    ...stateSlice,
+    [StatusKey]: { ...stateSlice[StatusKey], [actionName]: Statuses[status](payload) }
+  }
+}
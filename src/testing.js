@@ -0,0 +1,146 @@
+import { expandSliceDescriptor, SliceSeparator } from './descriptors'
+import StrictRedux from './StrictRedux'
+import { throwError } from './utils'
+
+/**
+ * Creates a StrictRedux instance suited for tests, with Redux DevTools and persistence turned off.
+ * @param {Object[]} slices - State slice descriptors
+ * @param {Object=} options - Store options, see [StrictRedux constructor]{@link StrictRedux}
+ * @param {Object=} options.mockSelectors - Selectors to replace, keyed by full selector name. Values are either
+ * selector functions, getting options and state, or constant values to return
+ * @param {Function[]=} options.middlewareFactories - Middleware factories, passed to the constructor
+ * @return {StrictRedux} A new StrictRedux instance
+ * @throws An error if there is no selector with a mocked name
+ */
+export function createTestStore (slices, { mockSelectors = {}, middlewareFactories = [], ...options } = {}) {
+  const instance = new StrictRedux(slices, middlewareFactories, { devTools: false, persistence: false, ...options })
+
+  // Throws for unknown selectors, so that mocks don't silently outlive renamed ones
+  Object.keys(mockSelectors).forEach(selectorName => {
+    const mock = mockSelectors[selectorName]
+    instance._mockSelector(selectorName, typeof mock === 'function' ? mock : () => mock)
+  })
+
+  return instance
+}
+
+/**
+ * Records actions dispatched to a StrictRedux instance after they have passed reducers.
+ * @param {StrictRedux} instance - StrictRedux instance to spy on
+ * @return {Object} Action spy with following methods: getActions(queryString) returns recorded actions, fitting the
+ * query (all of them, if query is omitted); wasDispatched(queryString) tells if any of them was dispatched;
+ * expectDispatched(queryString, payload) throws an error if none of them was dispatched, optionally with a payload
+ * deeply equal to the given one; clear() forgets recorded actions; stop() stops recording
+ */
+export function createActionSpy (instance) {
+  let actions = []
+
+  // Not bound to action types known at this moment, so that actions of slices added later are recorded as well
+  const stop = instance._onAnyAction(action => actions.push(action))
+
+  const getActions = queryString => {
+    if (queryString === undefined) {
+      return actions
+    }
+
+    const types = instance.getActionTypes(queryString)
+    const names = Object.keys(types).map(key => types[key])
+    return actions.filter(({ type }) => names.includes(type))
+  }
+
+  const wasDispatched = queryString => getActions(queryString).length > 0
+
+  const expectDispatched = (queryString, ...payload) => {
+    const dispatched = getActions(queryString)
+    const payloadMatches = ({ payload: actual }) => !payload.length || deepEqual(actual, payload[0])
+
+    if (!dispatched.some(payloadMatches)) {
+      throwError(payload.length
+        ? `Expected ${queryString} to be dispatched with payload ${describeValue(payload[0])}. Dispatched: ${describeActions(actions)}`
+        : `Expected ${queryString} to be dispatched. Dispatched: ${describeActions(actions)}`
+      )
+    }
+  }
+
+  return {
+    getActions,
+    wasDispatched,
+    expectDispatched,
+    clear: () => { actions = [] },
+    stop
+  }
+}
+
+/**
+ * Runs a single action reducer of a slice without creating a store. Generated reducers, e.g. of effects, are
+ * supported as well.
+ * @param {Object} sliceDescriptor - State slice descriptor
+ * @param {string} actionName - Action name without slice name, e.g. 'login' or 'login_fulfilled'
+ * @param {*} payload - Action payload
+ * @param {Object=} state - State slice. Defaults to slice initial state
+ * @return {Object} Next state of the slice
+ * @throws An error if there is no such action in the slice
+ */
+export function runReducer (sliceDescriptor, actionName, payload, state) {
+  const { sliceName, initialState, actionReducers } = expandSliceDescriptor(sliceDescriptor)
+  const reducer = actionReducers.hasOwnProperty(actionName)
+    ? actionReducers[actionName]
+    : throwError(`Action ${sliceName}${SliceSeparator}${actionName} not found`)
+  const stateSlice = state || initialState
+
+  return { ...stateSlice, ...reducer(stateSlice, payload) }
+}
+
+/**
+ * Instantiates a middleware factory against a test store, so that middleware may be tested in isolation.
+ * @param {Function} middlewareFactory - Middleware factory, getting a StrictRedux instance
+ * @param {Object[]} slices - State slice descriptors of the test store
+ * @param {Object=} options - Test store options, see [createTestStore()]{@link createTestStore}
+ * @return {Object} Object with 'instance' - test store the factory got, 'spy' - action spy of the test store,
+ * 'next' - array of actions passed on by the middleware, and 'dispatch(action)' function, running an action through
+ * the middleware. Actions passed on by the middleware reach the test store
+ */
+export function createMiddlewareHarness (middlewareFactory, slices, options) {
+  const instance = createTestStore(slices, options)
+  const spy = createActionSpy(instance)
+  const store = instance.getStore()
+  const next = []
+
+  const dispatch = middlewareFactory(instance)({
+    getState: store.getState,
+    dispatch: action => dispatch(action)
+  })(action => {
+    next.push(action)
+    return store.dispatch(action)
+  })
+
+  return { instance, spy, next, dispatch }
+}
+
+function describeActions (actions) {
+  return actions.length ? actions.map(({ type }) => type).join(', ') : 'nothing'
+}
+
+function describeValue (value) {
+  return value instanceof Error ? `${value.name}: ${value.message}` : JSON.stringify(value)
+}
+
+// Compares values structurally, regardless of key order. Errors have to be of the same class and have the same message
+function deepEqual (a, b) {
+  if (a === b || (Number.isNaN(a) && Number.isNaN(b))) {
+    return true
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false
+  }
+  if (a instanceof Error && a.message !== b.message) {
+    return false
+  }
+  if (a instanceof Date) {
+    return a.getTime() === b.getTime()
+  }
+
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => b.hasOwnProperty(key) && deepEqual(a[key], b[key]))
+}
@@ -0,0 +1,60 @@
+import { isHiddenKey } from './utils'
+
+/**
+ * Generates TypeScript declarations from a live StrictRedux instance: unions of slice names, action types and
+ * selector names, as well as interfaces mapping them to action creators and selected values. Types of default
+ * selectors are inferred from initial state values, other payloads and values are typed as unknown.
+ * @param {StrictRedux} instance - StrictRedux instance
+ * @return {string} Contents of a .d.ts file
+ */
+export function generateTypeDeclarations (instance) {
+  const sliceNames = Object.keys(instance._slices)
+  const actionTypes = Object.keys(instance._actionCreators)
+  const selectorNames = Object.keys(instance._selectors)
+
+  const selectorTypes = sliceNames.reduce((acc, sliceName) => {
+    const { initialState } = instance._slices[sliceName]
+
+    return Object.keys(initialState).filter(key => !isHiddenKey(key)).reduce((types, key) => ({
+      ...types,
+      [`${sliceName}${instance._separator}${key}`]: getValueType(initialState[key])
+    }), acc)
+  }, {})
+
+  return [
+    '// Generated by strict-redux-types from a live store registry. Do not edit manually.',
+    "import { BoundAction, Selector } from 'strict-redux'",
+    '',
+    `export type SliceName = ${toUnion(sliceNames)}`,
+    `export type ActionType = ${toUnion(actionTypes)}`,
+    `export type SelectorName = ${toUnion(selectorNames)}`,
+    '',
+    'export interface Actions {',
+    ...actionTypes.map(type => `  ${JSON.stringify(type)}: BoundAction<${JSON.stringify(type)}, unknown>`),
+    '}',
+    '',
+    'export interface SelectedValues {',
+    ...selectorNames.map(name => `  ${JSON.stringify(name)}: ${selectorTypes[name] || 'unknown'}`),
+    '}',
+    '',
+    'export type Selectors = { [N in SelectorName]: Selector<SelectedValues[N]> }',
+    ''
+  ].join('\n')
+}
+
+function toUnion (names) {
+  return names.length ? names.map(name => JSON.stringify(name)).join(' | ') : 'never'
+}
+
+function getValueType (value) {
+  if (Array.isArray(value)) {
+    return 'unknown[]'
+  }
+  if (value === null || value === undefined) {
+    return 'unknown'
+  }
+  if (['string', 'number', 'boolean'].includes(typeof value)) {
+    return typeof value
+  }
+  return typeof value === 'object' ? '{ [key: string]: unknown }' : 'unknown'
+}
@@ -0,0 +1,27 @@
+export function throwError (message) {
+  throw new Error(message)
+}
+
+export function capitalize (string) {
+  return string.charAt(0).toUpperCase() + string.slice(1)
+}
+
+export function shallowEqual (a, b) {
+  if (a === b) {
+    return true
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false
+  }
+
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => b.hasOwnProperty(key) && a[key] === b[key])
+}
+
+// State keys with this prefix are used internally and get no default selectors
+export const HiddenKeyPrefix = '@@'
+
+export function isHiddenKey (key) {
+  return key.startsWith(HiddenKeyPrefix)
+}
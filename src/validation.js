@@ -0,0 +1,118 @@
+import { throwError } from './utils'
+
+/**
+ * Extracts payload schemas declared in '{ reducer, schema }' form of action reducers and merges them with the
+ * payloadSchemas map of a slice descriptor.
+ */
+export function applyPayloadSchemas (sliceDescriptor) {
+  const { sliceName, payloadSchemas = {} } = sliceDescriptor
+  const schemas = { ...payloadSchemas }
+
+  const actionReducers = Object.keys(sliceDescriptor.actionReducers).reduce((acc, actionName) => {
+    const actionReducer = sliceDescriptor.actionReducers[actionName]
+
+    if (typeof actionReducer === 'function') {
+      return { ...acc, [actionName]: actionReducer }
+    }
+    if (!actionReducer || typeof actionReducer.reducer !== 'function') {
+      throwError(`Action reducer ${sliceName}.${actionName} should be a function or an object with reducer function`)
+    }
+    if (schemas[actionName]) {
+      throwError(`Payload schema of ${sliceName}.${actionName} is declared twice`)
+    }
+
+    schemas[actionName] = actionReducer.schema
+    return { ...acc, [actionName]: actionReducer.reducer }
+  }, {})
+
+  return { ...sliceDescriptor, actionReducers, payloadSchemas: schemas }
+}
+
+/**
+ * Built-in payload validator. Schema is either a type name, or an object with following optional properties:
+ * type ('string', 'number', 'boolean', 'object', 'array', 'function' or 'any'), required, enum (array of allowed
+ * values), properties (schemas of object properties; undeclared properties are not allowed, unless
+ * additionalProperties is set to true) and items (schema of array items).
+ * @return {Object[]} Validation errors, each containing path of the offending field and a message
+ */
+export function validatePayload (schema, value, path = 'payload') {
+  const {
+    type = 'any',
+    required = false,
+    enum: allowedValues,
+    properties,
+    additionalProperties = false,
+    items
+  } = typeof schema === 'string' ? { type: schema } : schema
+
+  if (value === undefined || value === null) {
+    return required ? [{ path, message: 'is required' }] : []
+  }
+
+  const valueType = getType(value)
+
+  if (type !== 'any' && valueType !== type) {
+    return [{ path, message: `should be of type ${type}, got ${valueType} instead` }]
+  }
+
+  if (allowedValues && !allowedValues.includes(value)) {
+    return [{ path, message: `should be one of: ${allowedValues.join(', ')}` }]
+  }
+
+  const errors = []
+
+  if (properties && valueType === 'object') {
+    Object.keys(properties).forEach(key => {
+      errors.push(...validatePayload(properties[key], value[key], `${path}.${key}`))
+    })
+
+    if (!additionalProperties) {
+      Object.keys(value).filter(key => !properties.hasOwnProperty(key)).forEach(key => {
+        errors.push({ path: `${path}.${key}`, message: 'is not declared in schema' })
+      })
+    }
+  }
+
+  if (items && valueType === 'array') {
+    value.forEach((item, index) => {
+      errors.push(...validatePayload(items, item, `${path}[${index}]`))
+    })
+  }
+
+  return errors
+}
+
+/**
+ * Checks state changes, returned by a reducer, against initial state of a slice.
+ * @return {string[]} Descriptions of violations: a non-object result, undeclared keys and changed value types
+ */
+export function validateStateChanges (initialState, state, changes) {
+  const changesType = getType(changes)
+
+  if (changesType !== 'object') {
+    return [`returned ${changesType} instead of an object`]
+  }
+
+  return Object.keys(changes).reduce((acc, key) => {
+    if (!initialState.hasOwnProperty(key)) {
+      return [...acc, `returned key ${key}, which is not declared in initialState`]
+    }
+
+    const prevType = getType(state[key])
+    const nextType = getType(changes[key])
+    const isEmpty = type => type === 'null' || type === 'undefined'
+
+    if (prevType !== nextType && !isEmpty(prevType) && !isEmpty(nextType)) {
+      return [...acc, `changed type of key ${key} from ${prevType} to ${nextType}`]
+    }
+
+    return acc
+  }, [])
+}
+
+function getType (value) {
+  if (value === null) {
+    return 'null'
+  }
+  return Array.isArray(value) ? 'array' : typeof value
+}
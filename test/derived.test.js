@@ -0,0 +1,91 @@
+import StrictRedux from '../src/StrictRedux'
+
+const todos = {
+  sliceName: 'todos',
+  initialState: { items: [], filter: 'all' },
+  actionReducers: {
+    add: (stateSlice, item) => ({ items: [...stateSlice.items, item] }),
+    setFilter: (stateSlice, filter) => ({ filter })
+  }
+}
+
+const auth = {
+  sliceName: 'auth',
+  initialState: { user: null },
+  actionReducers: {
+    login: (stateSlice, user) => ({ user })
+  }
+}
+
+const createDashboard = (compute) => ({
+  sliceName: 'dashboard',
+  derive: {
+    summary: {
+      inputs: 'todos_items, auth_user',
+      compute
+    }
+  }
+})
+
+const summarize = ({ todos_items, auth_user }, { prefix = '' } = {}) => ({ text: `${prefix}${auth_user}: ${todos_items.length}` })
+
+const createStore = (compute = summarize) => new StrictRedux([todos, auth, createDashboard(compute)], [], { devTools: false })
+
+describe('derived slices', () => {
+  it('computes values from selectors of other slices', () => {
+    const instance = createStore()
+
+    instance.getAction('auth_login')('bob')
+    instance.getAction('todos_add')('milk')
+
+    expect(instance.selectOne('dashboard_summary')).toEqual({ text: 'bob: 1' })
+    expect(instance.select('dashboard')).toEqual({ dashboard_summary: { text: 'bob: 1' } })
+  })
+
+  it('recomputes values only when inputs or options change', () => {
+    const compute = jest.fn(summarize)
+    const instance = createStore(compute)
+
+    const first = instance.selectOne('dashboard_summary')
+    instance.getAction('todos_setFilter')('done')
+    const second = instance.selectOne('dashboard_summary')
+    instance.getAction('todos_add')('milk')
+    const third = instance.selectOne('dashboard_summary')
+    instance.selectOne('dashboard_summary', { prefix: '> ' })
+    instance.selectOne('dashboard_summary', { prefix: '> ' })
+
+    expect(second).toBe(first)
+    expect(third).toEqual({ text: 'null: 1' })
+    expect(compute).toHaveBeenCalledTimes(3)
+  })
+
+  it('rejects actions addressed to a derived slice', () => {
+    const instance = createStore()
+
+    expect(() => instance.getAction('dashboard_refresh'))
+      .toThrow('Action dashboard_refresh not found. Slice dashboard is derived and cannot handle actions')
+    expect(() => instance.getStore().dispatch({ type: 'dashboard_refresh' }))
+      .toThrow('Unknown action type dashboard_refresh. Slice dashboard is derived and cannot handle actions')
+  })
+
+  it('has no state of its own', () => {
+    const instance = createStore()
+
+    expect(instance.getStore().getState()).not.toHaveProperty('dashboard')
+    expect(() => new StrictRedux([todos, auth, createDashboard(summarize)], [], {
+      devTools: false,
+      preloadedState: { dashboard: {} }
+    })).toThrow('Derived slice dashboard has no state to preload')
+  })
+
+  it('rejects state, actions and malformed derived selectors', () => {
+    const instance = new StrictRedux([todos, auth], [], { devTools: false })
+
+    expect(() => instance.addSlice({ ...createDashboard(summarize), initialState: {} }))
+      .toThrow('Derived slice dashboard may not declare initialState')
+    expect(() => instance.addSlice({ sliceName: 'dashboard', derive: { summary: { compute: summarize } } }))
+      .toThrow('Derived selector dashboard_summary should declare inputs query')
+    expect(() => instance.addSlice({ sliceName: 'dashboard', derive: { summary: { inputs: 'todos' } } }))
+      .toThrow('Derived selector dashboard_summary should declare compute function')
+  })
+})
@@ -0,0 +1,85 @@
+import StrictRedux from '../src/StrictRedux'
+
+const auth = {
+  sliceName: 'auth',
+  initialState: { user: null },
+  actionReducers: {
+    login: (stateSlice, user) => ({ user }),
+    logout: () => ({ user: null })
+  },
+  createSelectors: () => ({
+    isLoggedIn: stateSlice => !!stateSlice.user
+  })
+}
+
+const session = {
+  sliceName: 'session',
+  initialState: { token: null },
+  actionReducers: {},
+  listensTo: {
+    auth_logout: () => ({ token: null })
+  }
+}
+
+const middleware = () => () => next => action => next(action)
+
+const createStore = () => new StrictRedux([auth, session], [middleware], { devTools: false })
+
+const login = { name: 'auth_login', sliceName: 'auth', actionName: 'login', arity: 2, generated: false }
+const logout = { name: 'auth_logout', sliceName: 'auth', actionName: 'logout', arity: 0, generated: false }
+
+describe('describe', () => {
+  it('describes slices, their actions, selectors and listeners, and middleware count', () => {
+    expect(createStore().describe()).toEqual({
+      slices: [
+        {
+          sliceName: 'auth',
+          initialStateKeys: ['user'],
+          actions: [login, logout],
+          selectors: [
+            { name: 'auth_user', sliceName: 'auth', selectorName: 'user', autoGenerated: true },
+            { name: 'auth_isLoggedIn', sliceName: 'auth', selectorName: 'isLoggedIn', autoGenerated: false }
+          ],
+          listensTo: []
+        },
+        {
+          sliceName: 'session',
+          initialStateKeys: ['token'],
+          actions: [],
+          selectors: [{ name: 'session_token', sliceName: 'session', selectorName: 'token', autoGenerated: true }],
+          listensTo: ['auth_logout']
+        }
+      ],
+      middlewareCount: 1
+    })
+  })
+
+  it('describes generated actions and skips hidden state keys', () => {
+    const instance = createStore()
+    instance.addSlice({
+      sliceName: 'todos',
+      initialState: { items: [] },
+      actionReducers: {},
+      effects: { fetch: () => Promise.resolve([]) },
+      undoable: true
+    })
+
+    const { initialStateKeys, actions } = instance.describe().slices[2]
+
+    expect(Object.keys(instance.getStore().getState().todos)).toContain('@@history')
+    expect(initialStateKeys).toEqual(['items', 'isFetchPending', 'fetchError'])
+    expect(actions.map(({ actionName, generated }) => [actionName, generated])).toEqual([
+      ['fetch', true],
+      ['fetch_pending', true],
+      ['fetch_fulfilled', true],
+      ['fetch_rejected', true],
+      ['undo', true],
+      ['redo', true],
+      ['clearHistory', true]
+    ])
+  })
+
+  it('gives metadata of actions fitting a query', () => {
+    expect(createStore().getActionTypes('auth_login as login', { metadata: true })).toEqual({ login })
+  })
+})
@@ -0,0 +1,37 @@
+import StrictRedux from '../src/StrictRedux'
+
+const createStore = (login) => new StrictRedux([
+  {
+    sliceName: 'auth',
+    initialState: { user: null },
+    actionReducers: {
+      login_fulfilled: (stateSlice, user) => ({ user })
+    },
+    effects: { login }
+  }
+], [], { devTools: false })
+
+describe('effects', () => {
+  it('resolves with the result of the effect', async () => {
+    const instance = createStore(name => Promise.resolve(name))
+
+    await expect(instance.getAction('auth_login')('bob')).resolves.toBe('bob')
+    expect(instance.select('auth_user, auth_isLoginPending')).toEqual({ auth_user: 'bob', auth_isLoginPending: false })
+  })
+
+  it('resolves with undefined and saves the error, when the effect fails', async () => {
+    const error = new Error('Wrong password')
+    const instance = createStore(() => Promise.reject(error))
+
+    await expect(instance.getAction('auth_login')('bob')).resolves.toBeUndefined()
+    expect(instance.select('auth_loginError, auth_isLoginPending')).toEqual({ auth_loginError: error, auth_isLoginPending: false })
+  })
+
+  it('saves errors, thrown by synchronous effects', async () => {
+    const error = new Error('Offline')
+    const instance = createStore(() => { throw error })
+
+    await expect(instance.getAction('auth_login')('bob')).resolves.toBeUndefined()
+    expect(instance.selectOne('auth_loginError')).toBe(error)
+  })
+})
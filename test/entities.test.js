@@ -0,0 +1,53 @@
+import StrictRedux from '../src/StrictRedux'
+
+const todos = {
+  sliceName: 'todos',
+  initialState: {},
+  actionReducers: {},
+  entities: true
+}
+
+const createStore = () => {
+  const instance = new StrictRedux([todos], [], { devTools: false })
+  instance.getAction('todos_addMany')([{ id: 1, title: 'milk' }, { id: 2, title: 'bread' }])
+  return instance
+}
+
+describe('entities', () => {
+  it('removes an entity by an id of another type', () => {
+    const instance = createStore()
+
+    instance.getAction('todos_removeOne')('2')
+
+    expect(instance.select('todos_ids, todos_all')).toEqual({ todos_ids: [1], todos_all: [{ id: 1, title: 'milk' }] })
+  })
+
+  it('updates an entity by an id of another type', () => {
+    const instance = createStore()
+
+    instance.getAction('todos_updateOne')({ id: '1', changes: { title: 'oat milk' } })
+
+    expect(instance.selectOne('todos_all')).toEqual([{ id: 1, title: 'oat milk' }, { id: 2, title: 'bread' }])
+  })
+
+  it('changes an id of an entity', () => {
+    const instance = createStore()
+
+    instance.getAction('todos_updateOne')({ id: 1, changes: { id: 3 } })
+
+    expect(instance.select('todos_ids, todos_all')).toEqual({
+      todos_ids: [3, 2],
+      todos_all: [{ id: 3, title: 'milk' }, { id: 2, title: 'bread' }]
+    })
+  })
+
+  it('does not change an id of an entity to an id of another one', () => {
+    const instance = createStore()
+    const prevState = instance.getStore().getState()
+
+    expect(() => instance.getAction('todos_updateOne')({ id: 1, changes: { id: 2 } }))
+      .toThrow('Could not change id of entity 1 of slice todos to 2, as it is already taken')
+
+    expect(instance.getStore().getState()).toBe(prevState)
+  })
+})
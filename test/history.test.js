@@ -0,0 +1,65 @@
+import StrictRedux from '../src/StrictRedux'
+
+const createStore = () => new StrictRedux([
+  {
+    sliceName: 'doc',
+    initialState: { text: '' },
+    actionReducers: {
+      type: (stateSlice, text) => ({ text }),
+      save: () => ({})
+    },
+    effects: {
+      upload: () => Promise.resolve()
+    },
+    undoable: true
+  }
+], [], { devTools: false })
+
+describe('undo history', () => {
+  it('restores previous states', () => {
+    const instance = createStore()
+    const { doc_type, doc_undo, doc_redo } = instance.getActions('doc')
+
+    doc_type('a')
+    doc_type('ab')
+    doc_undo()
+    expect(instance.selectOne('doc_text')).toBe('a')
+
+    doc_redo()
+    expect(instance.selectOne('doc_text')).toBe('ab')
+  })
+
+  it('records no undo point for actions, which have not changed state', () => {
+    const instance = createStore()
+    const { doc_type, doc_save, doc_undo } = instance.getActions('doc')
+
+    doc_type('a')
+    doc_save()
+    doc_save()
+    doc_undo()
+
+    expect(instance.select('doc_text, doc_canUndo')).toEqual({ doc_text: '', doc_canUndo: false })
+  })
+
+  it('records no undo point for effect triggers', async () => {
+    const instance = createStore()
+    const { doc_type, doc_upload } = instance.getActions('doc')
+
+    doc_type('a')
+    await doc_upload()
+    instance.getAction('doc_undo')()
+
+    expect(instance.select('doc_text, doc_canUndo')).toEqual({ doc_text: '', doc_canUndo: false })
+  })
+
+  it('keeps redo available after actions, which have not changed state', () => {
+    const instance = createStore()
+    const { doc_type, doc_save, doc_undo } = instance.getActions('doc')
+
+    doc_type('a')
+    doc_undo()
+    doc_save()
+
+    expect(instance.selectOne('doc_canRedo')).toBe(true)
+  })
+})
@@ -0,0 +1,89 @@
+import StrictRedux from '../src/StrictRedux'
+
+const auth = {
+  sliceName: 'auth',
+  initialState: { user: null },
+  actionReducers: {
+    login: (stateSlice, user) => ({ user }),
+    logout: () => ({ user: null })
+  }
+}
+
+const todos = {
+  sliceName: 'todos',
+  initialState: { items: [] },
+  actionReducers: {
+    add: (stateSlice, item) => ({ items: [...stateSlice.items, item] })
+  }
+}
+
+const createStore = () => new StrictRedux([auth, todos], [], { devTools: false })
+
+describe('onAction', () => {
+  it('calls hooks after reducers by default', () => {
+    const instance = createStore()
+    const users = []
+    instance.onAction('auth_login', () => users.push(instance.selectOne('auth_user')))
+
+    instance.getAction('auth_login')('bob')
+
+    expect(users).toEqual(['bob'])
+  })
+
+  it('calls hooks of the before phase before reducers', () => {
+    const instance = createStore()
+    const users = []
+    instance.onAction('auth_login', () => users.push(instance.selectOne('auth_user')), { phase: 'before' })
+
+    instance.getAction('auth_login')('bob')
+
+    expect(users).toEqual([null])
+  })
+
+  it('calls hooks with the dispatched action for every action fitting the query', () => {
+    const instance = createStore()
+    const handler = jest.fn()
+    instance.onAction('auth', handler)
+
+    instance.getAction('auth_login')('bob')
+    instance.getAction('todos_add')('milk')
+    instance.getAction('auth_logout')()
+
+    expect(handler.mock.calls).toEqual([[{ type: 'auth_login', payload: 'bob' }], [{ type: 'auth_logout' }]])
+  })
+
+  it('stops calling a hook, when it is unsubscribed', () => {
+    const instance = createStore()
+    const handler = jest.fn()
+    const other = jest.fn()
+    const unsubscribe = instance.onAction('auth_login', handler)
+    instance.onAction('auth_login', other)
+
+    unsubscribe()
+    instance.getAction('auth_login')('bob')
+
+    expect(handler).not.toHaveBeenCalled()
+    expect(other).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not call hooks for actions swallowed by middleware', () => {
+    const swallow = () => () => next => action => action.type === 'auth_login' ? action : next(action)
+    const instance = new StrictRedux([auth], [swallow], { devTools: false })
+    const handler = jest.fn()
+    instance.onAction('auth_login', handler, { phase: 'before' })
+
+    instance.getAction('auth_login')('bob')
+
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  it('rejects unknown actions, phases and handlers at registration time', () => {
+    const instance = createStore()
+
+    expect(() => instance.onAction('auth_signup', () => {}))
+      .toThrow('Bad store query _actionCreators: auth_signup. Could not resolve auth_signup')
+    expect(() => instance.onAction('auth', () => {}, { phase: 'during' }))
+      .toThrow('Unknown hook phase during. Expecting one of: before, after')
+    expect(() => instance.onAction('auth')).toThrow("Expecting hook handler of type 'function'. Got undefined instead")
+  })
+})
@@ -0,0 +1,100 @@
+import StrictRedux from '../src/StrictRedux'
+
+// Created for each store, as guarded stores freeze initial state
+const createTodos = () => ({
+  sliceName: 'todos',
+  initialState: { items: [{ title: 'milk', done: false }, { title: 'bread', done: false }] },
+  actionReducers: {
+    add: (stateSlice, item) => ({ items: [...stateSlice.items, item] }),
+    toggleInPlace: stateSlice => {
+      stateSlice.items[0].done = true
+      return {}
+    },
+    stamp: (stateSlice, item) => {
+      item.createdAt = 1
+      return { items: [...stateSlice.items, item] }
+    }
+  },
+  createSelectors: () => ({
+    sorted: stateSlice => stateSlice.items.sort((a, b) => a.title.localeCompare(b.title))
+  })
+})
+
+const createStore = (options) => new StrictRedux([createTodos()], [], { devTools: false, ...options })
+
+const inProduction = (callback) => {
+  const nodeEnv = process.env.NODE_ENV
+  process.env.NODE_ENV = 'production'
+
+  try {
+    return callback()
+  } finally {
+    process.env.NODE_ENV = nodeEnv
+  }
+}
+
+describe('immutability guard', () => {
+  it('names the slice, the action and the path of state mutated by a reducer', () => {
+    expect(() => createStore().getAction('todos_toggleInPlace')())
+      .toThrow('Reducer of slice todos for action todos_toggleInPlace mutated todos.items[0].done')
+  })
+
+  it('names the path of a payload mutated by a reducer', () => {
+    expect(() => createStore().getAction('todos_stamp')({ title: 'eggs' }))
+      .toThrow('Reducer of slice todos for action todos_stamp mutated payload.createdAt')
+  })
+
+  it('names the selector and the path of state mutated by a selector', () => {
+    expect(() => createStore().selectOne('todos_sorted'))
+      .toThrow('Selector todos_sorted of slice todos mutated todos.items[0]')
+  })
+
+  it('freezes state and dispatched payloads', () => {
+    const instance = createStore()
+    const item = { title: 'eggs', tags: [] }
+
+    instance.getAction('todos_add')(item)
+
+    expect(Object.isFrozen(item.tags)).toBe(true)
+    expect(Object.isFrozen(instance.getStore().getState().todos.items)).toBe(true)
+    expect(() => { instance.getStore().getState().todos.items[0].done = true }).toThrow(TypeError)
+  })
+
+  it('keeps errors, which are not caused by mutations', () => {
+    const instance = createStore()
+    instance.addSlice({
+      sliceName: 'broken',
+      initialState: {},
+      actionReducers: { fail: () => { throw new TypeError('Broken reducer') } }
+    })
+
+    expect(() => instance.getAction('broken_fail')()).toThrow('Broken reducer')
+  })
+
+  it('is skipped, when turned off', () => {
+    const instance = createStore({ immutabilityGuard: false })
+    const item = { title: 'eggs' }
+
+    instance.getAction('todos_stamp')(item)
+    instance.getAction('todos_toggleInPlace')()
+
+    expect(Object.isFrozen(item)).toBe(false)
+    expect(instance.selectOne('todos_items')[0]).toEqual({ title: 'milk', done: true })
+    expect(instance.selectOne('todos_items')[2]).toEqual({ title: 'eggs', createdAt: 1 })
+  })
+
+  it('is skipped in production', () => {
+    const instance = inProduction(() => createStore())
+    const item = { title: 'eggs' }
+
+    const sorted = inProduction(() => {
+      instance.getAction('todos_stamp')(item)
+      instance.getAction('todos_toggleInPlace')()
+      return instance.selectOne('todos_sorted')
+    })
+
+    expect(Object.isFrozen(item)).toBe(false)
+    expect(Object.isFrozen(instance.getStore().getState().todos)).toBe(false)
+    expect(sorted.map(({ title }) => title)).toEqual(['bread', 'eggs', 'milk'])
+  })
+})
@@ -0,0 +1,124 @@
+import StrictRedux from '../src/StrictRedux'
+import { createAsyncStorage, createMemoryStorage } from '../src/persistence'
+
+const createTodos = (persist) => ({
+  sliceName: 'todos',
+  initialState: { items: [], filter: 'all' },
+  actionReducers: {
+    add: (stateSlice, item) => ({ items: [...stateSlice.items, item] }),
+    setFilter: (stateSlice, filter) => ({ filter })
+  },
+  persist
+})
+
+const persisted = state => JSON.stringify({ version: 0, state })
+
+const createStore = (persist) => new StrictRedux([createTodos(persist)], [], { devTools: false })
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve))
+
+describe('persistence', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    console.warn.mockRestore()
+    jest.useRealTimers()
+  })
+
+  it('rehydrates state from synchronous storage', () => {
+    const storage = createMemoryStorage({ 'strict-redux:todos': persisted({ items: ['milk'], filter: 'done' }) })
+    const instance = createStore({ storage })
+
+    expect(instance.select('todos_items, todos_filter')).toEqual({ todos_items: ['milk'], todos_filter: 'done' })
+  })
+
+  it('keeps keys changed while reading from asynchronous storage', async () => {
+    const storage = createAsyncStorage({
+      get: () => Promise.resolve(persisted({ items: ['milk'], filter: 'done' })),
+      set: () => Promise.resolve(),
+      remove: () => Promise.resolve()
+    })
+    const instance = createStore({ storage })
+
+    instance.getAction('todos_setFilter')('active')
+    await flushPromises()
+
+    expect(instance.select('todos_items, todos_filter')).toEqual({ todos_items: ['milk'], todos_filter: 'active' })
+  })
+
+  it('warns and starts writing, when reading from asynchronous storage fails', async () => {
+    const set = jest.fn(() => Promise.resolve())
+    const storage = createAsyncStorage({
+      get: () => Promise.reject(new Error('Quota exceeded')),
+      set,
+      remove: () => Promise.resolve()
+    })
+    const instance = createStore({ storage })
+    await flushPromises()
+
+    instance.getAction('todos_add')('milk')
+
+    expect(console.warn).toHaveBeenCalledWith('Could not read persisted state of slice todos: Quota exceeded')
+    expect(set).toHaveBeenCalledWith('strict-redux:todos', persisted({ items: ['milk'], filter: 'all' }))
+  })
+
+  it('warns, when reading from synchronous storage throws', async () => {
+    const storage = { ...createMemoryStorage(), getItem: () => { throw new Error('Access denied') } }
+    const instance = createStore({ storage })
+    await flushPromises()
+
+    expect(console.warn).toHaveBeenCalledWith('Could not read persisted state of slice todos: Access denied')
+    expect(instance.selectOne('todos_items')).toEqual([])
+  })
+
+  it('warns and keeps dispatching, when writing to synchronous storage throws', () => {
+    const storage = { ...createMemoryStorage(), setItem: () => { throw new Error('QuotaExceededError') } }
+    const instance = createStore({ storage })
+
+    instance.getAction('todos_add')('milk')
+
+    expect(console.warn).toHaveBeenCalledWith('Could not persist state of slice todos: QuotaExceededError')
+    expect(instance.selectOne('todos_items')).toEqual(['milk'])
+  })
+
+  it('warns, when a throttled write throws', () => {
+    jest.useFakeTimers()
+    const storage = { ...createMemoryStorage(), setItem: () => { throw new Error('QuotaExceededError') } }
+    const instance = createStore({ storage, throttle: 1000 })
+
+    instance.getAction('todos_add')('milk')
+    expect(() => jest.runAllTimers()).not.toThrow()
+
+    expect(console.warn).toHaveBeenCalledWith('Could not persist state of slice todos: QuotaExceededError')
+  })
+
+  it('warns, when writing to asynchronous storage fails', async () => {
+    const storage = createAsyncStorage({
+      get: () => Promise.resolve(null),
+      set: async () => { throw new Error('Disk full') },
+      remove: () => Promise.resolve()
+    })
+    const instance = createStore({ storage })
+    await flushPromises()
+
+    instance.getAction('todos_add')('milk')
+    await flushPromises()
+
+    expect(console.warn).toHaveBeenCalledWith('Could not persist state of slice todos: Disk full')
+  })
+
+  it('writes pending changes, when the slice is removed', () => {
+    jest.useFakeTimers()
+    const storage = createMemoryStorage()
+    const instance = createStore({ storage, throttle: 1000 })
+
+    instance.getAction('todos_add')('milk')
+    instance.getAction('todos_add')('bread')
+    instance.removeSlice('todos')
+    jest.runAllTimers()
+
+    expect(storage.getItem('strict-redux:todos')).toBe(persisted({ items: ['milk', 'bread'], filter: 'all' }))
+  })
+})
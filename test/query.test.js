@@ -0,0 +1,142 @@
+import StrictRedux from '../src/StrictRedux'
+
+const todos = {
+  sliceName: 'todos',
+  initialState: { items: ['milk'], filter: 'all' },
+  actionReducers: {
+    add: (stateSlice, item) => ({ items: [...stateSlice.items, item] }),
+    delete: (stateSlice, item) => ({ items: stateSlice.items.filter(existing => existing !== item) }),
+    clear: () => ({ items: [] })
+  },
+  createSelectors: () => ({
+    isEmpty: stateSlice => !stateSlice.items.length,
+    isFiltered: stateSlice => stateSlice.filter !== 'all'
+  })
+}
+
+const archive = {
+  sliceName: 'archive',
+  initialState: { items: ['bread'] },
+  actionReducers: {
+    add: (stateSlice, item) => ({ items: [...stateSlice.items, item] })
+  }
+}
+
+const auth = {
+  sliceName: 'auth',
+  initialState: { user: 'bob' },
+  actionReducers: {
+    login: (stateSlice, user) => ({ user })
+  }
+}
+
+const createStore = () => new StrictRedux([todos, archive, auth], [], { devTools: false })
+
+// Each method is reduced to selected values or action types, keyed by result keys
+const selectorMethods = {
+  getSelectors: (instance, queryString) => {
+    const selectors = instance.getSelectors(queryString)
+    return Object.keys(selectors).reduce((acc, key) => ({ ...acc, [key]: selectors[key]() }), {})
+  },
+  select: (instance, queryString) => instance.select(queryString),
+  createMapStateToProps: (instance, queryString) =>
+    instance.createMapStateToProps(queryString)(instance.getStore().getState(), {})
+}
+
+const getActionTypes = (instance, actions) => Object.keys(actions).reduce((acc, key) => ({
+  ...acc,
+  [key]: Object.keys(instance.getActionTypes()).find(type => instance.getAction(type) === actions[key])
+}), {})
+
+const actionMethods = {
+  getActions: (instance, queryString) => getActionTypes(instance, instance.getActions(queryString)),
+  getActionTypes: (instance, queryString) => instance.getActionTypes(queryString),
+  createMapDispatchToProps: (instance, queryString) =>
+    getActionTypes(instance, instance.createMapDispatchToProps(queryString)())
+}
+
+const selectorQueries = {
+  'todos_is*': { todos_isEmpty: false, todos_isFiltered: false },
+  '*_items': { todos_items: ['milk'], archive_items: ['bread'] },
+  'todos, !todos_filter': { todos_items: ['milk'], todos_isEmpty: false, todos_isFiltered: false },
+  'todos, !todos_is*': { todos_items: ['milk'], todos_filter: 'all' },
+  'auth_user as user, todos_items': { user: 'bob', todos_items: ['milk'] },
+  'todos as *': { items: ['milk'], filter: 'all', isEmpty: false, isFiltered: false },
+  'todos_is* as *, !todos_isFiltered': { isEmpty: false },
+  '\n    auth_user as user,\n    todos_items as *\n  ': { user: 'bob', items: ['milk'] }
+}
+
+const actionQueries = {
+  'todos_*': { todos_add: 'todos_add', todos_delete: 'todos_delete', todos_clear: 'todos_clear' },
+  '*_add': { todos_add: 'todos_add', archive_add: 'archive_add' },
+  'todos, !todos_delete': { todos_add: 'todos_add', todos_clear: 'todos_clear' },
+  'auth_login as login': { login: 'auth_login' },
+  'todos as *, !todos_clear': { add: 'todos_add', delete: 'todos_delete' }
+}
+
+const failingQueries = {
+  'todos_items as': 'Could not parse todos_items as',
+  'todos items': 'Could not parse todos items',
+  'auth, todos_nope*': 'Could not resolve todos_nope*',
+  'auth, !nope': 'Could not resolve !nope',
+  'todos, !todos_items as items': 'Exclusion may not have an alias: !todos_items as items',
+  'auth, todos_is* as flag': 'Alias may be given to a single name only, got 2 names in todos_is* as flag',
+  'todos_items as user, auth_user as user': 'Key user is already taken by todos_items in auth_user as user',
+  'todos_items as *, archive_items as *': 'Key items is already taken by todos_items in archive_items as *',
+  'auth_user, !auth': 'Query resolves to nothing'
+}
+
+const failingActionQueries = {
+  'todos_add as *, archive as *': 'Key add is already taken by todos_add in archive as *',
+  'todos_* as add': 'Alias may be given to a single name only, got 3 names in todos_* as add',
+  'auth, !todos_nope': 'Could not resolve !todos_nope'
+}
+
+describe('queries', () => {
+  Object.keys(selectorMethods).forEach(methodName => {
+    describe(methodName, () => {
+      Object.keys(selectorQueries).forEach(queryString => {
+        it(`resolves ${JSON.stringify(queryString)}`, () => {
+          expect(selectorMethods[methodName](createStore(), queryString)).toEqual(selectorQueries[queryString])
+        })
+      })
+
+      Object.keys(failingQueries).forEach(queryString => {
+        it(`points at the failing clause of ${JSON.stringify(queryString)}`, () => {
+          expect(() => selectorMethods[methodName](createStore(), queryString))
+            .toThrow(`Bad store query _selectors: ${queryString}. ${failingQueries[queryString]}`)
+        })
+      })
+    })
+  })
+
+  Object.keys(actionMethods).forEach(methodName => {
+    describe(methodName, () => {
+      Object.keys(actionQueries).forEach(queryString => {
+        it(`resolves ${JSON.stringify(queryString)}`, () => {
+          expect(actionMethods[methodName](createStore(), queryString)).toEqual(actionQueries[queryString])
+        })
+      })
+
+      Object.keys(failingActionQueries).forEach(queryString => {
+        it(`points at the failing clause of ${JSON.stringify(queryString)}`, () => {
+          expect(() => actionMethods[methodName](createStore(), queryString))
+            .toThrow(`Bad store query _actionCreators: ${queryString}. ${failingActionQueries[queryString]}`)
+        })
+      })
+    })
+  })
+
+  it('keeps result keys in the order of clauses', () => {
+    expect(Object.keys(createStore().select('auth_user as user, todos_items as *'))).toEqual(['user', 'items'])
+  })
+
+  it('gives options to selectors, picked by a glob', () => {
+    const instance = new StrictRedux([{
+      ...todos,
+      createSelectors: () => ({ hasItem: (stateSlice, { item }) => stateSlice.items.includes(item) })
+    }], [], { devTools: false })
+
+    expect(instance.select('todos_has* as *', { item: 'milk' })).toEqual({ hasItem: true })
+  })
+})
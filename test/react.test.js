@@ -0,0 +1,109 @@
+import React from 'react'
+import { renderToString } from 'react-dom/server'
+import TestRenderer, { act } from 'react-test-renderer'
+
+import StrictRedux from '../src/StrictRedux'
+import { StrictReduxProvider, useActions, useSelect, useSelectOne } from '../src/react'
+
+const auth = {
+  sliceName: 'auth',
+  initialState: { user: null, attempts: 0 },
+  actionReducers: {
+    login: (stateSlice, user) => ({ user }),
+    attempt: stateSlice => ({ attempts: stateSlice.attempts + 1 })
+  }
+}
+
+const createStore = () => new StrictRedux([auth], [], { devTools: false })
+
+const render = (instance, element) => {
+  let renderer
+  act(() => {
+    renderer = TestRenderer.create(<StrictReduxProvider store={instance}>{element}</StrictReduxProvider>)
+  })
+  return renderer
+}
+
+class ErrorBoundary extends React.Component {
+  state = { error: null }
+
+  static getDerivedStateFromError (error) {
+    return { error }
+  }
+
+  render () {
+    return this.state.error ? <span>{this.state.error.message}</span> : this.props.children
+  }
+}
+
+describe('react hooks', () => {
+  it('re-renders a component when a selected value changes', () => {
+    const instance = createStore()
+    const User = () => <span>{useSelect('auth_user').auth_user || 'guest'}</span>
+    const renderer = render(instance, <User />)
+
+    act(() => {
+      instance.getAction('auth_login')('bob')
+    })
+
+    expect(renderer.toJSON().children).toEqual(['bob'])
+  })
+
+  it('does not re-render a component when other values change', () => {
+    const instance = createStore()
+    const renders = jest.fn()
+    const User = () => {
+      renders()
+      return <span>{useSelectOne('auth_user')}</span>
+    }
+    render(instance, <User />)
+
+    act(() => {
+      instance.getAction('auth_attempt')()
+    })
+
+    expect(renders).toHaveBeenCalledTimes(1)
+  })
+
+  it('returns the same action creators on every render', () => {
+    const instance = createStore()
+    const results = []
+    const Login = () => {
+      results.push(useActions('auth_login'))
+      return <span>{useSelectOne('auth_user')}</span>
+    }
+    render(instance, <Login />)
+
+    act(() => {
+      results[0].auth_login('bob')
+    })
+
+    expect(results).toHaveLength(2)
+    expect(results[1]).toBe(results[0])
+  })
+
+  it('throws query errors at render time, so that error boundaries catch them', () => {
+    // React logs errors caught by error boundaries
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {})
+    const instance = createStore()
+    const Broken = () => <span>{useSelect('nope').nope}</span>
+
+    const renderer = render(instance, <ErrorBoundary><Broken /></ErrorBoundary>)
+    consoleError.mockRestore()
+
+    expect(renderer.toJSON().children).toEqual(['Bad store query _selectors: nope. Could not resolve nope'])
+  })
+
+  it('renders on the server without warnings', () => {
+    const consoleError = jest.spyOn(console, 'error')
+    const instance = createStore()
+    const User = () => <span>{useSelectOne('auth_user') || 'guest'}</span>
+
+    const html = renderToString(<StrictReduxProvider store={instance}><User /></StrictReduxProvider>)
+    const warnings = consoleError.mock.calls
+    consoleError.mockRestore()
+
+    expect(html).toBe('<span>guest</span>')
+    expect(warnings).toEqual([])
+  })
+})
@@ -0,0 +1,98 @@
+import StrictRedux from '../src/StrictRedux'
+
+const auth = {
+  sliceName: 'auth',
+  initialState: { user: null, error: null, attempts: 0 },
+  actionReducers: {
+    login: (stateSlice, user) => ({ user, attempts: stateSlice.attempts + 1 }),
+    fail: (stateSlice, error) => ({ error, attempts: stateSlice.attempts + 1 })
+  }
+}
+
+const createStore = (options) => new StrictRedux([auth], [], { devTools: false, ...options })
+
+describe('recording', () => {
+  it('records type, payload, meta and timestamp of actions along with initial state', () => {
+    const instance = createStore({ preloadedState: { auth: { attempts: 2 } } })
+    instance.startRecording()
+
+    instance.getAction('auth_login')('bob', { source: 'form' })
+    const recording = instance.stopRecording()
+
+    expect(recording.initialState).toEqual({ auth: { user: null, error: null, attempts: 2 } })
+    expect(recording.actions).toEqual([{ type: 'auth_login', payload: 'bob', meta: { source: 'form' }, timestamp: expect.any(Number) }])
+  })
+
+  it('starts recording on store creation', () => {
+    const instance = createStore({ record: true })
+
+    instance.getAction('auth_login')('bob')
+
+    expect(instance.stopRecording().actions).toHaveLength(1)
+  })
+
+  it('exports error payloads with their name and message', () => {
+    const instance = createStore({ record: true })
+    const error = new TypeError('Wrong password')
+
+    instance.getAction('auth_fail')(error)
+    const { actions } = JSON.parse(instance.exportRecording())
+
+    expect(actions[0]).toMatchObject({
+      type: 'auth_fail',
+      error: true,
+      payload: { '@@error': { name: 'TypeError', message: 'Wrong password', stack: error.stack } }
+    })
+  })
+
+  it('replays an exported recording, restoring errors', () => {
+    const instance = createStore({ record: true })
+    instance.getAction('auth_fail')(new TypeError('Wrong password'))
+    instance.getAction('auth_login')('bob')
+
+    const replayed = instance.replay(instance.exportRecording())
+    const error = replayed.selectOne('auth_error')
+
+    expect(replayed).not.toBe(instance)
+    expect(replayed.select('auth_user, auth_attempts')).toEqual({ auth_user: 'bob', auth_attempts: 2 })
+    expect(error).toBeInstanceOf(Error)
+    expect(error).toMatchObject({ name: 'TypeError', message: 'Wrong password' })
+  })
+
+  it('replays recorded actions up to a given count', () => {
+    const instance = createStore({ record: true })
+    instance.getAction('auth_login')('bob')
+    instance.getAction('auth_login')('alice')
+
+    const replayed = instance.replay(instance.stopRecording(), { upTo: 1 })
+
+    expect(replayed.select('auth_user, auth_attempts')).toEqual({ auth_user: 'bob', auth_attempts: 1 })
+  })
+
+  it('replays without middleware', () => {
+    const middleware = jest.fn(() => next => action => next(action))
+    const instance = new StrictRedux([auth], [() => middleware], { devTools: false, record: true })
+    instance.getAction('auth_login')('bob')
+    middleware.mockClear()
+
+    instance.replay(instance.stopRecording())
+
+    expect(middleware).not.toHaveBeenCalled()
+  })
+
+  it('rejects recordings with unknown action types', () => {
+    const recording = {
+      initialState: { auth: { user: null, error: null, attempts: 0 } },
+      actions: [{ type: 'auth_signup' }, { type: 'auth_login', payload: 'bob' }, { type: 'auth_signup' }, { type: 'todos_add' }]
+    }
+
+    expect(() => createStore().replay(recording)).toThrow('Recording refers to unknown action types: auth_signup, todos_add')
+  })
+
+  it('fails to stop or export, when recording has not been started', () => {
+    const instance = createStore()
+
+    expect(() => instance.stopRecording()).toThrow('Recording has not been started')
+    expect(() => instance.exportRecording()).toThrow('Recording has not been started')
+  })
+})
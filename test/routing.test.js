@@ -0,0 +1,272 @@
+import StrictRedux from '../src/StrictRedux'
+
+const createSlices = () => [
+  {
+    sliceName: 'auth',
+    initialState: { user: null },
+    actionReducers: {
+      login: (stateSlice, user) => ({ user }),
+      logout: () => ({ user: null })
+    }
+  },
+  {
+    sliceName: 'session',
+    initialState: { token: 'initial' },
+    actionReducers: {
+      setToken: (stateSlice, token) => ({ token })
+    },
+    listensTo: {
+      auth_logout: () => ({ token: null })
+    }
+  },
+  {
+    sliceName: 'todos',
+    initialState: { items: [] },
+    actionReducers: {
+      add: (stateSlice, item) => ({ items: [...stateSlice.items, item] })
+    }
+  }
+]
+
+const createStore = (options) => new StrictRedux(createSlices(), [], { devTools: false, ...options })
+
+describe('action routing', () => {
+  it('reduces only the slice owning the action', () => {
+    const instance = createStore()
+    const prevState = instance.getStore().getState()
+
+    instance.getAction('auth_login')('bob')
+    const state = instance.getStore().getState()
+
+    expect(state.auth).toEqual({ user: 'bob' })
+    expect(state.session).toBe(prevState.session)
+    expect(state.todos).toBe(prevState.todos)
+  })
+
+  it('reduces slices listening to the action after its owner', () => {
+    const instance = createStore()
+
+    instance.getAction('auth_login')('bob')
+    instance.getAction('auth_logout')()
+
+    expect(instance.select('auth_user, session_token')).toEqual({ auth_user: null, session_token: null })
+  })
+
+  it('does not call reducers of slices with the same name prefix', () => {
+    const authors = jest.fn(() => ({ count: 1 }))
+    const instance = new StrictRedux([
+      ...createSlices(),
+      { sliceName: 'authors', initialState: { count: 0 }, actionReducers: { login: authors } }
+    ], [], { devTools: false })
+
+    instance.getAction('auth_login')('bob')
+
+    expect(authors).not.toHaveBeenCalled()
+    expect(instance.selectOne('authors_count')).toBe(0)
+  })
+
+  it('throws on unknown action types', () => {
+    const instance = createStore()
+
+    expect(() => instance.getStore().dispatch({ type: 'auth_unknown' })).toThrow('Unknown action type auth_unknown')
+  })
+
+  it('reduces every action of a batch', () => {
+    const instance = createStore()
+
+    instance.dispatchBatch([
+      { type: 'auth_login', payload: 'bob' },
+      { type: 'todos_add', payload: 'milk' },
+      { type: 'auth_logout' }
+    ])
+
+    expect(instance.select('auth_user, session_token, todos_items')).toEqual({
+      auth_user: null,
+      session_token: null,
+      todos_items: ['milk']
+    })
+  })
+})
+
+describe('batches', () => {
+  it('passes every batched action through middleware, giving it state reduced so far', () => {
+    const log = []
+    const logger = () => store => next => action => {
+      const result = next(action)
+      log.push([action.type, store.getState().auth.user])
+      return result
+    }
+    const instance = new StrictRedux(createSlices(), [logger], { devTools: false })
+
+    instance.batch(() => {
+      instance.getAction('auth_login')('bob')
+      instance.getAction('auth_logout')()
+    })
+
+    expect(log).toEqual([['auth_login', 'bob'], ['auth_logout', null]])
+  })
+
+  it('gives enhancers a single action, carrying batched actions', () => {
+    const actions = []
+    const enhancer = createStore => (...args) => {
+      const store = createStore(...args)
+      return { ...store, dispatch: action => actions.push(action) && store.dispatch(action) }
+    }
+    const instance = createStore({ enhancers: [enhancer] })
+
+    instance.dispatchBatch([{ type: 'auth_login', payload: 'bob' }, { type: 'todos_add', payload: 'milk' }])
+
+    expect(actions).toEqual([{
+      type: '@@strict-redux/batch',
+      payload: [{ type: 'auth_login', payload: 'bob' }, { type: 'todos_add', payload: 'milk' }]
+    }])
+    expect(instance.select('auth_user, todos_items')).toEqual({ auth_user: 'bob', todos_items: ['milk'] })
+  })
+
+  it('reduces batched actions again, when the batch action is replayed', () => {
+    let rootReducer
+    const enhancer = createStore => (reducer, ...args) => {
+      rootReducer = reducer
+      return createStore(reducer, ...args)
+    }
+    const prevState = createStore({ enhancers: [enhancer] }).getStore().getState()
+
+    const state = rootReducer(prevState, {
+      type: '@@strict-redux/batch',
+      payload: [{ type: 'auth_login', payload: 'bob' }, { type: 'todos_add', payload: 'milk' }]
+    })
+
+    expect(state).toEqual({ ...prevState, auth: { user: 'bob' }, todos: { items: ['milk'] } })
+  })
+
+  it('joins batches, started by hooks of batched actions, to the outer batch', () => {
+    const instance = createStore()
+    const listener = jest.fn()
+    instance.getStore().subscribe(listener)
+    instance.onAction('auth_login', ({ payload }) => instance.batch(() => {
+      instance.getAction('todos_add')(payload)
+      instance.getAction('session_setToken')(payload)
+    }))
+
+    instance.dispatchBatch([
+      { type: 'auth_login', payload: 'bob' },
+      { type: 'auth_login', payload: 'alice' },
+      { type: 'auth_logout' }
+    ])
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(instance.select('auth_user, session_token, todos_items')).toEqual({
+      auth_user: null,
+      session_token: null,
+      todos_items: ['bob', 'alice']
+    })
+  })
+
+  it('notifies subscribers once, after all batched actions are reduced', () => {
+    const instance = createStore()
+    const listener = jest.fn(() => instance.select('auth_user, todos_items'))
+    instance.getStore().subscribe(listener)
+
+    instance.dispatchBatch([{ type: 'auth_login', payload: 'bob' }, { type: 'todos_add', payload: 'milk' }])
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener).toHaveReturnedWith({ auth_user: 'bob', todos_items: ['milk'] })
+  })
+
+  it('keeps reduced actions and notifies subscribers, when a reducer throws', () => {
+    const instance = new StrictRedux([
+      ...createSlices(),
+      { sliceName: 'broken', initialState: {}, actionReducers: { fail: () => { throw new Error('Broken reducer') } } }
+    ], [], { devTools: false })
+    const listener = jest.fn()
+    instance.getStore().subscribe(listener)
+
+    expect(() => instance.dispatchBatch([{ type: 'auth_login', payload: 'bob' }, { type: 'broken_fail' }]))
+      .toThrow('Broken reducer')
+
+    expect(instance.selectOne('auth_user')).toBe('bob')
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('internal actions', () => {
+  it('gives initial state to all slices on store creation', () => {
+    expect(createStore().getStore().getState()).toEqual({
+      auth: { user: null },
+      session: { token: 'initial' },
+      todos: { items: [] }
+    })
+  })
+
+  it('keeps preloaded state on store creation', () => {
+    const instance = createStore({ preloadedState: { auth: { user: 'bob' } } })
+
+    expect(instance.selectOne('auth_user')).toBe('bob')
+    expect(instance.selectOne('todos_items')).toEqual([])
+  })
+
+  it('rejects preloaded slice state, which is not an object', () => {
+    expect(() => createStore({ preloadedState: { auth: null } }))
+      .toThrow('Expecting preloaded state of slice auth to be an object. Got null instead')
+    expect(() => createStore({ preloadedState: '{"todos":["milk"]}' }))
+      .toThrow('Expecting preloaded state of slice todos to be an object. Got ["milk"] instead')
+  })
+
+  it('gives initial state to a slice added later and keeps state of others', () => {
+    const instance = createStore()
+    instance.getAction('todos_add')('milk')
+    const prevState = instance.getStore().getState()
+
+    instance.addSlice({ sliceName: 'late', initialState: { value: 1 }, actionReducers: { set: (stateSlice, value) => ({ value }) } })
+    const state = instance.getStore().getState()
+
+    expect(state.late).toEqual({ value: 1 })
+    expect(state.todos).toBe(prevState.todos)
+
+    instance.getAction('late_set')(2)
+    expect(instance.selectOne('late_value')).toBe(2)
+  })
+
+  it('routes actions to listeners of a slice added later', () => {
+    const instance = createStore()
+
+    instance.addSlice({ sliceName: 'audit', initialState: { logouts: 0 }, actionReducers: {}, listensTo: { auth_logout: stateSlice => ({ logouts: stateSlice.logouts + 1 }) } })
+    instance.getAction('auth_logout')()
+
+    expect(instance.selectOne('audit_logouts')).toBe(1)
+  })
+})
+
+describe('removed slices', () => {
+  it('drops state of a removed slice', () => {
+    const instance = createStore()
+
+    instance.removeSlice('todos')
+
+    expect(instance.getStore().getState()).not.toHaveProperty('todos')
+  })
+
+  it('rejects actions of a removed slice', () => {
+    const instance = createStore()
+
+    instance.removeSlice('todos')
+
+    expect(() => instance.getStore().dispatch({ type: 'todos_add', payload: 'milk' })).toThrow('Unknown action type todos_add')
+  })
+
+  it('stops routing actions to a removed listener', () => {
+    const instance = createStore()
+
+    instance.removeSlice('session')
+    instance.getAction('auth_logout')()
+
+    expect(instance.getStore().getState()).toEqual({ auth: { user: null }, todos: { items: [] } })
+  })
+
+  it('does not remove a slice, which actions are listened to', () => {
+    const instance = createStore()
+
+    expect(() => instance.removeSlice('auth')).toThrow('Slice auth could not be removed, as slice session listens to its action auth_logout')
+    expect(instance.getAction('auth_logout')).toBeInstanceOf(Function)
+  })
+})
@@ -0,0 +1,109 @@
+import StrictRedux from '../src/StrictRedux'
+import { createMemoryStorage } from '../src/persistence'
+
+const auth = {
+  sliceName: 'auth',
+  initialState: { user: null },
+  actionReducers: {
+    login: (stateSlice, user) => ({ user })
+  }
+}
+
+const late = {
+  sliceName: 'late',
+  initialState: { value: 1 },
+  actionReducers: {
+    set: (stateSlice, value) => ({ value })
+  }
+}
+
+const createStore = () => new StrictRedux([auth], [], { devTools: false })
+
+describe('addSlice', () => {
+  const invalidSlices = {
+    'payload schema of an unknown action': { ...late, payloadSchemas: { unknown: 'number' } },
+    'custom selector, shadowing a default one': { ...late, createSelectors: () => ({ value: () => 2 }) },
+    'undo filter, referring to another slice': { ...late, undoable: { filter: 'auth_login' } },
+    'persisted key, missing in initialState': { ...late, persist: { keys: ['missing'], storage: createMemoryStorage() } }
+  }
+
+  Object.keys(invalidSlices).forEach(reason => {
+    it(`leaves nothing behind, when a slice with ${reason} is rejected`, () => {
+      const instance = createStore()
+      const prevState = instance.getStore().getState()
+
+      expect(() => instance.addSlice(invalidSlices[reason])).toThrow()
+
+      expect(Object.keys(instance.getActionTypes())).toEqual(['auth_login'])
+      expect(instance.describe().slices.map(({ sliceName }) => sliceName)).toEqual(['auth'])
+      expect(() => instance.getAction('late_set')).toThrow('Action late_set not found')
+      expect(() => instance.getSelector('late_value')).toThrow('Selector late_value not found')
+      expect(instance.getStore().getState()).toBe(prevState)
+
+      instance.addSlice(late)
+      instance.getAction('late_set')(2)
+      expect(instance.selectOne('late_value')).toBe(2)
+    })
+  })
+
+  it('does not touch a registered slice with the same name', () => {
+    const instance = createStore()
+    instance.addSlice(late)
+
+    expect(() => instance.addSlice(late)).toThrow('Slice late is already registered')
+    instance.getAction('late_set')(2)
+    expect(instance.selectOne('late_value')).toBe(2)
+  })
+})
+
+describe('removeSlice', () => {
+  it('unsubscribes watchers of the removed slice', () => {
+    const instance = createStore()
+    const listener = jest.fn()
+    instance.addSlice(late)
+    instance.watch('late', listener)
+
+    instance.removeSlice('late')
+    instance.getAction('auth_login')('bob')
+
+    expect(listener).not.toHaveBeenCalled()
+    expect(instance.selectOne('auth_user')).toBe('bob')
+  })
+
+  it('keeps watchers of other slices', () => {
+    const instance = createStore()
+    const listener = jest.fn()
+    instance.addSlice(late)
+    instance.watch('auth', listener)
+
+    instance.removeSlice('late')
+    instance.getAction('auth_login')('bob')
+
+    expect(listener).toHaveBeenCalledWith({ auth_user: null }, { auth_user: 'bob' })
+  })
+
+  it('makes selectors of the removed slice throw', () => {
+    const instance = createStore()
+    instance.addSlice(late)
+    const selector = instance.getSelector('late_value')
+    const { late_value } = instance.getSelectors('late')
+
+    instance.removeSlice('late')
+
+    expect(() => selector()).toThrow('Selector late_value not found')
+    expect(() => late_value()).toThrow('Selector late_value not found')
+    expect(() => instance.getSelector('late_value')).toThrow('Selector late_value not found')
+  })
+
+  it('does not revive selectors of a removed slice when it is added again', () => {
+    const instance = createStore()
+    instance.addSlice(late)
+    const selector = instance.getSelector('late_value')
+
+    instance.removeSlice('late')
+    instance.addSlice(late)
+
+    expect(() => selector()).toThrow('Selector late_value not found')
+    expect(instance.selectOne('late_value')).toBe(1)
+  })
+})
@@ -0,0 +1,80 @@
+import StrictRedux from '../src/StrictRedux'
+
+const todos = {
+  sliceName: 'todos',
+  initialState: { items: [] },
+  actionReducers: {
+    add: (stateSlice, item) => ({ items: [...stateSlice.items, item] })
+  }
+}
+
+describe('server-side rendering', () => {
+  it('creates a store with Redux DevTools turned on, where there is no window', () => {
+    const instance = new StrictRedux([todos])
+
+    instance.getAction('todos_add')('milk')
+
+    expect(instance.selectOne('todos_items')).toEqual(['milk'])
+  })
+
+  it('escapes characters, which may break out of an inline script', () => {
+    const instance = new StrictRedux([todos], [], { devTools: false })
+    instance.getAction('todos_add')('</script><script>alert("&")</script>\u2028\u2029')
+
+    const serialized = instance.serialize()
+
+    expect(serialized).not.toMatch(/[<>&\u2028\u2029]/)
+    expect(serialized).toBe('{"todos":{"items":["\\u003C/script\\u003E\\u003Cscript\\u003Ealert(\\"\\u0026\\")\\u003C/script\\u003E\\u2028\\u2029"]}}')
+  })
+
+  it('hydrates a new store with serialized state', () => {
+    const instance = new StrictRedux([todos], [], { devTools: false })
+    instance.getAction('todos_add')('<b>milk</b>')
+
+    const hydrated = new StrictRedux([todos], [], { devTools: false, preloadedState: instance.serialize() })
+
+    expect(hydrated.getStore().getState()).toEqual(instance.getStore().getState())
+  })
+})
+
+describe('fork', () => {
+  it('creates an instance, which shares no state with its origin', () => {
+    const instance = new StrictRedux([todos], [], { devTools: false })
+    const forked = instance.fork()
+
+    forked.getAction('todos_add')('milk')
+
+    expect(forked.selectOne('todos_items')).toEqual(['milk'])
+    expect(instance.selectOne('todos_items')).toEqual([])
+  })
+
+  it('creates middleware for each instance', () => {
+    const factory = jest.fn(() => () => next => action => next(action))
+    const instance = new StrictRedux([todos], [factory], { devTools: false })
+
+    const forked = instance.fork()
+
+    expect(factory).toHaveBeenCalledTimes(2)
+    expect(factory.mock.calls[1][0]).toBe(forked)
+  })
+
+  it('inherits options, except preloaded state', () => {
+    const instance = new StrictRedux([todos], [], {
+      devTools: false,
+      separator: '/',
+      preloadedState: { todos: { items: ['milk'] } }
+    })
+
+    const forked = instance.fork({ preloadedState: { todos: { items: ['bread'] } } })
+
+    expect(instance.fork().selectOne('todos/items')).toEqual([])
+    expect(forked.selectOne('todos/items')).toEqual(['bread'])
+  })
+
+  it('keeps slices added to the origin', () => {
+    const instance = new StrictRedux([], [], { devTools: false })
+    instance.addSlice(todos)
+
+    expect(instance.fork().getActionTypes()).toEqual({ todos_add: 'todos_add' })
+  })
+})
@@ -0,0 +1,75 @@
+import StrictRedux from '../src/StrictRedux'
+
+const todos = {
+  sliceName: 'todos',
+  initialState: { items: [], filter: 'all' },
+  actionReducers: {
+    add: (stateSlice, item) => ({ items: [...stateSlice.items, item] }),
+    setFilter: (stateSlice, filter) => ({ filter })
+  },
+  createSelectors: () => ({
+    startingWith: (stateSlice, { prefix }) => stateSlice.items.filter(item => item.startsWith(prefix)).length
+  })
+}
+
+const createStore = () => new StrictRedux([todos], [], { devTools: false })
+
+describe('stable references', () => {
+  it('returns the same actions and selectors for a query', () => {
+    const instance = createStore()
+
+    expect(instance.getActions('todos')).toBe(instance.getActions('todos'))
+    expect(instance.getSelectors('todos_items')).toBe(instance.getSelectors('todos_items'))
+    expect(instance.createMapDispatchToProps('todos_add')()).toBe(instance.getActions('todos_add'))
+  })
+
+  it('returns the same select result, until any of selected values changes', () => {
+    const instance = createStore()
+    const first = instance.select('todos_items')
+
+    instance.getAction('todos_setFilter')('done')
+    const second = instance.select('todos_items')
+    instance.getAction('todos_add')('milk')
+    const third = instance.select('todos_items')
+
+    expect(second).toBe(first)
+    expect(third).not.toBe(first)
+    expect(third).toEqual({ todos_items: ['milk'] })
+  })
+
+  it('returns the same mapStateToProps result, until any of selected values changes', () => {
+    const instance = createStore()
+    const mapStateToProps = instance.createMapStateToProps('todos_items')
+    const first = mapStateToProps(instance.getStore().getState(), {})
+
+    instance.getAction('todos_setFilter')('done')
+
+    expect(mapStateToProps(instance.getStore().getState(), {})).toBe(first)
+  })
+
+  it('keeps results of each mapStateToProps factory instance apart', () => {
+    const instance = createStore()
+    instance.getAction('todos_add')('milk')
+    const factory = instance.createMapStateToPropsFactory('todos_startingWith')
+    const forMilk = factory()
+    const forBread = factory()
+    const state = instance.getStore().getState()
+
+    const milk = forMilk(state, { prefix: 'm' })
+    const bread = forBread(state, { prefix: 'b' })
+
+    expect(forMilk(state, { prefix: 'm' })).toBe(milk)
+    expect(forBread(state, { prefix: 'b' })).toBe(bread)
+    expect([milk, bread]).toEqual([{ todos_startingWith: 1 }, { todos_startingWith: 0 }])
+  })
+
+  it('drops cached queries, when a slice is added', () => {
+    const instance = createStore()
+    const actions = instance.getActions('*_add')
+
+    instance.addSlice({ ...todos, sliceName: 'archive' })
+
+    expect(Object.keys(instance.getActions('*_add'))).toEqual(['todos_add', 'archive_add'])
+    expect(Object.keys(actions)).toEqual(['todos_add'])
+  })
+})
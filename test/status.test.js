@@ -0,0 +1,59 @@
+import StrictRedux from '../src/StrictRedux'
+
+const todos = {
+  sliceName: 'todos',
+  initialState: { items: [] },
+  actionReducers: {
+    fetch: {
+      reducer: (stateSlice, items) => ({ items }),
+      schema: { type: 'array' }
+    }
+  },
+  trackStatus: ['fetch']
+}
+
+const stats = {
+  sliceName: 'stats',
+  initialState: { fetches: 0 },
+  actionReducers: {},
+  listensTo: {
+    todos_fetch: stateSlice => ({ fetches: stateSlice.fetches + 1 })
+  }
+}
+
+const createStore = () => new StrictRedux([todos, stats], [], { devTools: false })
+
+describe('status tracking', () => {
+  it('does not validate payloads of starting and failing actions', () => {
+    const instance = createStore()
+    const fetch = instance.getAction('todos_fetch')
+    const error = new Error('Offline')
+
+    fetch(undefined, { status: 'start' })
+    expect(instance.selectOne('todos_status')).toEqual({ fetch: { loading: true, error: undefined } })
+
+    fetch(error, { status: 'fail' })
+    expect(instance.selectOne('todos_status')).toEqual({ fetch: { loading: false, error } })
+    expect(instance.selectOne('todos_items')).toEqual([])
+  })
+
+  it('validates payloads of done actions and actions without status', () => {
+    const fetch = createStore().getAction('todos_fetch')
+
+    expect(() => fetch('milk', { status: 'done' })).toThrow('should be of type array')
+    expect(() => fetch('milk')).toThrow('should be of type array')
+  })
+
+  it('runs reducers of listening slices only when the action is done or has no status', () => {
+    const instance = createStore()
+    const fetch = instance.getAction('todos_fetch')
+
+    fetch(undefined, { status: 'start' })
+    fetch(new Error('Offline'), { status: 'fail' })
+    expect(instance.selectOne('stats_fetches')).toBe(0)
+
+    fetch(['milk'], { status: 'done' })
+    fetch(['bread'])
+    expect(instance.selectOne('stats_fetches')).toBe(2)
+  })
+})
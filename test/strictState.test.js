@@ -0,0 +1,71 @@
+import StrictRedux from '../src/StrictRedux'
+
+const todos = {
+  sliceName: 'todos',
+  initialState: { items: [], selected: null },
+  actionReducers: {
+    add: (stateSlice, item) => ({ items: [...stateSlice.items, item] }),
+    select: (stateSlice, item) => ({ selected: item }),
+    addCount: (stateSlice, count) => ({ count }),
+    replaceItems: (stateSlice, items) => ({ items }),
+    reset: () => null
+  }
+}
+
+const createStore = (strictState) => new StrictRedux([todos], [], { devTools: false, strictState })
+
+const violations = {
+  'an undeclared key': ['todos_addCount', 1, 'Reducer of action todos_addCount returned key count, which is not declared in initialState'],
+  'a changed type': ['todos_replaceItems', 'milk', 'Reducer of action todos_replaceItems changed type of key items from array to string'],
+  'a non-object': ['todos_reset', undefined, 'Reducer of action todos_reset returned null instead of an object']
+}
+
+describe('strict state', () => {
+  Object.keys(violations).forEach(reason => {
+    const [type, payload, message] = violations[reason]
+
+    it(`throws on ${reason} in throw mode`, () => {
+      [true, 'throw'].forEach(strictState => {
+        const instance = createStore(strictState)
+        const prevState = instance.getStore().getState()
+
+        expect(() => instance.getAction(type)(payload)).toThrow(message)
+        expect(instance.getStore().getState()).toBe(prevState)
+      })
+    })
+
+    it(`warns on ${reason} in warn mode`, () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      const instance = createStore('warn')
+
+      instance.getAction(type)(payload)
+      const warnings = warn.mock.calls
+      warn.mockRestore()
+
+      expect(warnings).toEqual([[message]])
+    })
+  })
+
+  it('accepts declared keys and nulls in place of any type', () => {
+    const instance = createStore(true)
+
+    instance.getAction('todos_add')('milk')
+    instance.getAction('todos_select')('milk')
+    instance.getAction('todos_select')(null)
+    instance.getAction('todos_replaceItems')(null)
+
+    expect(instance.select('todos_items, todos_selected')).toEqual({ todos_items: null, todos_selected: null })
+  })
+
+  it('is turned off by default', () => {
+    const instance = createStore()
+
+    instance.getAction('todos_addCount')(1)
+
+    expect(instance.getStore().getState().todos.count).toBe(1)
+  })
+
+  it('rejects unknown modes', () => {
+    expect(() => createStore('loud')).toThrow('Unknown strictState mode loud. Expecting one of: false, true, warn, throw')
+  })
+})
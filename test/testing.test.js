@@ -0,0 +1,89 @@
+import { createActionSpy, createTestStore } from '../src/testing'
+
+const auth = {
+  sliceName: 'auth',
+  initialState: { user: null, error: null },
+  actionReducers: {
+    login: (stateSlice, user) => ({ user }),
+    fail: (stateSlice, error) => ({ error })
+  }
+}
+
+describe('createTestStore', () => {
+  it('mocks selectors queried by middleware factories at construction time', () => {
+    let selectors
+    const factory = instance => {
+      selectors = instance.getSelectors('auth')
+      return () => next => action => next(action)
+    }
+    const instance = createTestStore([auth], { middlewareFactories: [factory], mockSelectors: { auth_user: 'mocked' } })
+
+    expect(instance.select('auth')).toEqual({ auth_user: 'mocked', auth_error: null })
+    expect(selectors.auth_user()).toBe('mocked')
+  })
+
+  it('mocks selectors with functions', () => {
+    const instance = createTestStore([auth], { mockSelectors: { auth_user: options => options.name } })
+
+    expect(instance.selectOne('auth_user', { name: 'bob' })).toBe('bob')
+  })
+
+  it('rejects mocks of unknown selectors', () => {
+    expect(() => createTestStore([auth], { mockSelectors: { auth_name: 'bob' } })).toThrow('Selector auth_name not found')
+  })
+})
+
+describe('createActionSpy', () => {
+  it('records actions of slices added after the spy was created', () => {
+    const instance = createTestStore([auth])
+    const spy = createActionSpy(instance)
+
+    instance.addSlice({ sliceName: 'late', initialState: { value: 1 }, actionReducers: { set: (stateSlice, value) => ({ value }) } })
+    instance.getAction('late_set')(2)
+
+    expect(spy.wasDispatched('late_set')).toBe(true)
+    spy.expectDispatched('late', 2)
+  })
+
+  it('records every action of a batch', () => {
+    const instance = createTestStore([auth])
+    const spy = createActionSpy(instance)
+
+    instance.dispatchBatch([{ type: 'auth_login', payload: 'bob' }, { type: 'auth_login', payload: 'alice' }])
+
+    expect(spy.getActions().map(({ payload }) => payload)).toEqual(['bob', 'alice'])
+  })
+
+  it('stops recording', () => {
+    const instance = createTestStore([auth])
+    const spy = createActionSpy(instance)
+
+    spy.stop()
+    instance.getAction('auth_login')('bob')
+
+    expect(spy.getActions()).toEqual([])
+  })
+
+  it('compares payloads regardless of key order', () => {
+    const instance = createTestStore([auth])
+    const spy = createActionSpy(instance)
+
+    instance.getAction('auth_login')({ name: 'bob', roles: ['admin'] })
+
+    spy.expectDispatched('auth_login', { roles: ['admin'], name: 'bob' })
+    expect(() => spy.expectDispatched('auth_login', { name: 'bob', roles: [] }))
+      .toThrow('Expected auth_login to be dispatched with payload {"name":"bob","roles":[]}. Dispatched: auth_login')
+  })
+
+  it('compares error payloads by class and message', () => {
+    const instance = createTestStore([auth])
+    const spy = createActionSpy(instance)
+
+    instance.getAction('auth_fail')(new Error('Wrong password'))
+
+    spy.expectDispatched('auth_fail', new Error('Wrong password'))
+    expect(() => spy.expectDispatched('auth_fail', new Error('Offline')))
+      .toThrow('Expected auth_fail to be dispatched with payload Error: Offline. Dispatched: auth_fail')
+    expect(() => spy.expectDispatched('auth_fail', new TypeError('Wrong password'))).toThrow()
+  })
+})
@@ -0,0 +1,22 @@
+// Slice module, declared the way README suggests, so that names and payloads are inferred from exports
+export const sliceName = 'auth'
+
+export const initialState = { user: undefined as string | undefined, count: 0 }
+
+export const actionReducers = {
+  login: (stateSlice: typeof initialState, payload: { name: string }) => ({ user: payload.name }),
+  logout: (stateSlice: typeof initialState) => ({ user: undefined }),
+  setCount: { reducer: (stateSlice: typeof initialState, count: number) => ({ count }), schema: 'number' as const }
+}
+
+export const effects = {
+  fetchUser: async (id: number) => ({ id, name: 'bob' })
+}
+
+export const undoable = { limit: 3 }
+
+export function createSelectors () {
+  return {
+    isLoggedIn: (stateSlice: typeof initialState) => !!stateSlice.user
+  }
+}
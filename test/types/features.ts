@@ -0,0 +1,49 @@
+import StrictRedux from '../..'
+
+interface Todo { key: number, title: string }
+
+const todos = {
+  sliceName: 'todos' as const,
+  initialState: { filter: 'all' },
+  actionReducers: { fetch: (stateSlice: any, todos: Todo[]) => ({}) },
+  entities: { idKey: 'key', sortComparer: (a: Todo, b: Todo) => a.title.localeCompare(b.title) },
+  trackStatus: ['fetch'] as const
+}
+const users = { sliceName: 'users' as const, initialState: {}, actionReducers: {}, entities: true }
+const dashboard = {
+  sliceName: 'dashboard' as const,
+  derive: {
+    summary: { inputs: 'todos_total', compute: ({ todos_total }: { todos_total: number }) => ({ total: todos_total }) }
+  }
+}
+
+const store = new StrictRedux([todos, users, dashboard])
+
+// Entities
+store.getAction('todos_addOne')({ key: 1, title: 'milk' })
+store.getAction('todos_updateOne')({ id: 1, changes: { title: 'bread' } })
+store.getAction('todos_removeAll')()
+store.getAction('users_addMany')([{ anything: 1 }])
+const all: Todo[] = store.selectOne('todos_all')
+const one: Todo | undefined = store.selectOne('todos_getById', { id: 1 })
+const total: number = store.select('todos as *').total
+// @ts-expect-error entity without a title
+store.getAction('todos_addOne')({ key: 1 })
+// @ts-expect-error removeOne takes an id
+store.getAction('todos_removeOne')({ id: 1 })
+
+// Action status
+const loading: boolean = store.selectOne('todos_status').fetch.loading
+store.getAction('todos_fetch')([], { status: 'done' })
+// @ts-expect-error untracked action
+store.selectOne('todos_status').save
+
+// Derived slices
+const summary: number = store.selectOne('dashboard_summary').total
+const derived: number = store.select('dashboard as *').summary.total
+// @ts-expect-error derived slices have no actions
+store.getAction('dashboard_summary')
+
+// Stable query results
+const mapStateToProps = store.createMapStateToPropsFactory('todos_filter')()
+const filter: string = mapStateToProps({}, {}).todos_filter
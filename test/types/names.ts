@@ -0,0 +1,49 @@
+import StrictRedux from '../..'
+import * as auth from './auth'
+
+const todos = {
+  sliceName: 'todos' as const,
+  initialState: { items: [] as string[] },
+  actionReducers: { add: (stateSlice: any, item: string) => ({}) }
+}
+
+const store = new StrictRedux([auth, todos])
+
+// Action names and payloads
+const login = store.getAction('auth_login')
+login({ name: 'bob' })
+const loginType: 'auth_login' = login.type
+store.getAction('auth_logout')()
+store.getAction('auth_setCount')(1)
+store.getAction('auth_fetchUser')(1)
+store.getAction('auth_fetchUser_fulfilled')({ id: 1, name: 'bob' })
+store.getAction('auth_undo')()
+// @ts-expect-error unknown action
+store.getAction('auth_nope')
+// @ts-expect-error payload of a wrong type
+login(5)
+// @ts-expect-error payload of a wrong type, declared with a schema
+store.getAction('auth_setCount')('1')
+// @ts-expect-error missing payload
+store.getAction('todos_add')()
+
+// Selector names and values
+const user: string | undefined = store.selectOne('auth_user')
+const isLoggedIn: boolean = store.selectOne('auth_isLoggedIn')
+const isPending: boolean = store.selectOne('auth_isFetchUserPending')
+const canUndo: boolean = store.selectOne('auth_canUndo')
+// @ts-expect-error unknown selector
+store.selectOne('auth_nope')
+// @ts-expect-error value of a wrong type
+const wrongUser: number = store.selectOne('auth_user')
+
+// Hooks and metadata
+store.onAction('auth', action => { const type: string = action.type })
+const arity: number = store.getActionTypes('auth', { metadata: true }).auth_login.arity
+const logoutType: 'auth_logout' = store.getActionTypes().auth_logout
+const middlewareCount: number = store.describe().middlewareCount
+
+// Untyped slices fall back to loose names
+const loose = new StrictRedux([] as any[])
+loose.select('whatever, a_b').a_b
+loose.getAction('x_y')(1)
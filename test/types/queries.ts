@@ -0,0 +1,57 @@
+import StrictRedux from '../..'
+import * as auth from './auth'
+
+const todos = {
+  sliceName: 'todos' as const,
+  initialState: { items: [] as string[], isLoading: false, isSaving: false },
+  actionReducers: { add: (stateSlice: any, item: string) => ({}), delete: (stateSlice: any) => ({}) }
+}
+
+const store = new StrictRedux([auth, todos])
+
+// Slice names and multiline queries
+const values = store.select('todos, auth_user')
+const items: string[] = values.todos_items
+const user: string | undefined = values.auth_user
+const actions = store.getActions(`
+  todos,
+  auth_logout
+`)
+actions.todos_add('milk')
+actions.auth_logout()
+// @ts-expect-error clause matching nothing
+store.select('todos, authx')
+// @ts-expect-error action not requested by the query
+actions.auth_login
+
+// Globs
+const flags = store.select('todos_is*')
+const isLoading: boolean = flags.todos_isLoading
+const isSaving: boolean = flags.todos_isSaving
+// @ts-expect-error selector not matching the glob
+flags.todos_items
+// @ts-expect-error glob matching nothing
+store.select('todos_x*')
+
+// Exclusions
+const withoutDelete = store.getActions('todos, !todos_delete')
+withoutDelete.todos_add('milk')
+// @ts-expect-error excluded action
+withoutDelete.todos_delete
+store.onAction('todos, !todos_add', action => { const type: 'todos_delete' = action.type })
+// @ts-expect-error exclusion of an unknown name
+store.select('todos, !todos_nope')
+
+// Aliases
+const aliased = store.select('auth_user as user, todos as *')
+const aliasedUser: string | undefined = aliased.user
+const aliasedItems: string[] = aliased.items
+// @ts-expect-error name replaced by alias
+aliased.auth_user
+const types = store.getActionTypes('todos as *')
+const addType: 'todos_add' = types.add
+
+// Untyped slices
+const loose = new StrictRedux([] as any[])
+loose.select('a_* as *').anything
+loose.select('a_b as c').c
@@ -0,0 +1,22 @@
+import { createElement } from 'react'
+import StrictRedux from '../..'
+import { StrictReduxProvider, useActions, useSelect, useSelectOne, useStrictRedux } from '../../react'
+import * as auth from './auth'
+
+const store = new StrictRedux([auth])
+const storeWithSeparator = new StrictRedux([auth], [], { separator: '/' })
+
+createElement(StrictReduxProvider, { store }, null)
+StrictReduxProvider({ store: storeWithSeparator, children: 'content' })
+// @ts-expect-error provider needs a store
+StrictReduxProvider({ children: 'content' })
+
+const instance: StrictRedux<any, any> = useStrictRedux()
+const { auth_user }: { auth_user: string | undefined } = useSelect<{ auth_user: string | undefined }>('auth_user')
+const count: number = useSelectOne<number>('auth_count')
+const { auth_login } = useActions<{ auth_login: (payload: { name: string }) => void }>('auth_login')
+auth_login({ name: 'bob' })
+// @ts-expect-error action creators keep the declared payload type
+auth_login('bob')
+// @ts-expect-error selected values are objects
+useSelect<string>('auth_user')
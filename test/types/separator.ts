@@ -0,0 +1,27 @@
+import StrictRedux from '../..'
+import * as auth from './auth'
+
+const todos = {
+  sliceName: 'todos' as const,
+  initialState: { items: [] as string[] },
+  actionReducers: { add: (stateSlice: any, item: string) => ({}) }
+}
+
+const store = new StrictRedux([auth, todos], [], { separator: '/' })
+
+store.getAction('auth/login')({ name: 'bob' })
+store.getAction('auth/fetchUser/fulfilled')({ id: 1, name: 'bob' })
+// @ts-expect-error default separator
+store.getAction('auth_login')
+
+const values = store.select('todos, auth/user as user')
+const items: string[] = values['todos/items']
+const user: string | undefined = values.user
+const stripped: string[] = store.select('todos as *').items
+
+store.fork().getAction('auth/logout')()
+store.dispatchBatch([{ type: 'auth/logout', payload: undefined }])
+// @ts-expect-error unknown action in a batch
+store.dispatchBatch([{ type: 'auth/nope', payload: undefined }])
+
+const result: number = store.batch(() => 1)
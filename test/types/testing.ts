@@ -0,0 +1,9 @@
+import { createActionSpy, createTestStore, runReducer } from '../../testing'
+import * as auth from './auth'
+
+const store = createTestStore([auth], { mockSelectors: { auth_user: 'bob' } })
+const user: string | undefined = store.selectOne('auth_user')
+const state: { user: string | undefined, count: number } = runReducer(auth, 'login', { name: 'bob' })
+createActionSpy(store).expectDispatched('auth_login', { name: 'bob' })
+// @ts-expect-error unknown action of a test store
+store.getAction('auth_nope')
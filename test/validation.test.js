@@ -0,0 +1,99 @@
+import StrictRedux from '../src/StrictRedux'
+
+const auth = {
+  sliceName: 'auth',
+  initialState: { credentials: null, role: 'guest', tags: [] },
+  actionReducers: {
+    login: {
+      reducer: (stateSlice, credentials) => ({ credentials }),
+      schema: {
+        type: 'object',
+        required: true,
+        properties: {
+          name: { type: 'string', required: true },
+          remember: 'boolean',
+          device: { type: 'object', properties: { id: 'number' } }
+        }
+      }
+    },
+    setRole: (stateSlice, role) => ({ role }),
+    setTags: (stateSlice, tags) => ({ tags }),
+    reset: () => ({ credentials: null })
+  },
+  payloadSchemas: {
+    setRole: { type: 'string', enum: ['guest', 'admin'] },
+    setTags: { type: 'array', items: 'string' }
+  }
+}
+
+const createStore = (options) => new StrictRedux([auth], [], { devTools: false, ...options })
+
+describe('payload validation', () => {
+  it('accepts valid payloads', () => {
+    const instance = createStore()
+
+    instance.getAction('auth_login')({ name: 'bob', remember: true, device: { id: 1 } })
+    instance.getAction('auth_setRole')('admin')
+    instance.getAction('auth_setTags')(['a', 'b'])
+    instance.getAction('auth_reset')('anything')
+
+    expect(instance.select('auth_role, auth_tags')).toEqual({ auth_role: 'admin', auth_tags: ['a', 'b'] })
+  })
+
+  const invalidPayloads = {
+    'a missing payload': ['auth_login', undefined, 'payload is required'],
+    'a missing required key': ['auth_login', {}, 'payload.name is required'],
+    'a wrong type': ['auth_login', { name: 'bob', remember: 'yes' }, 'payload.remember should be of type boolean, got string instead'],
+    'a wrong type of a nested field': ['auth_login', { name: 'bob', device: { id: '1' } }, 'payload.device.id should be of type number, got string instead'],
+    'an undeclared key': ['auth_login', { name: 'bob', password: 'secret' }, 'payload.password is not declared in schema'],
+    'a value out of enum': ['auth_setRole', 'root', 'payload should be one of: guest, admin'],
+    'a wrong type of an array item': ['auth_setTags', ['a', 1], 'payload[1] should be of type string, got number instead']
+  }
+
+  Object.keys(invalidPayloads).forEach(reason => {
+    it(`rejects ${reason}, naming the action and the field`, () => {
+      const [type, payload, message] = invalidPayloads[reason]
+      const instance = createStore()
+      const prevState = instance.getStore().getState()
+
+      expect(() => instance.getAction(type)(payload)).toThrow(`Invalid payload of action ${type}: ${message}`)
+      expect(instance.getStore().getState()).toBe(prevState)
+    })
+  })
+
+  it('reports all invalid fields at once', () => {
+    expect(() => createStore().getAction('auth_login')({ remember: 1 }))
+      .toThrow('Invalid payload of action auth_login: payload.name is required; payload.remember should be of type boolean, got number instead')
+  })
+
+  it('uses a custom validator', () => {
+    const payloadValidator = jest.fn((schema, payload) => payload === 'admin' ? [{ path: 'payload', message: 'is not allowed' }] : [])
+    const instance = createStore({ payloadValidator })
+
+    instance.getAction('auth_setRole')('guest')
+    expect(() => instance.getAction('auth_setRole')('admin')).toThrow('Invalid payload of action auth_setRole: payload is not allowed')
+    expect(payloadValidator).toHaveBeenCalledWith(auth.payloadSchemas.setRole, 'guest')
+  })
+
+  it('does not validate payloads in production', () => {
+    const instance = createStore()
+    const nodeEnv = process.env.NODE_ENV
+    process.env.NODE_ENV = 'production'
+
+    try {
+      instance.getAction('auth_setRole')('root')
+    } finally {
+      process.env.NODE_ENV = nodeEnv
+    }
+
+    expect(instance.selectOne('auth_role')).toBe('root')
+  })
+
+  it('rejects a schema declared twice', () => {
+    expect(() => createStore().addSlice({
+      ...auth,
+      sliceName: 'admin',
+      payloadSchemas: { login: 'object' }
+    })).toThrow('Payload schema of admin.login is declared twice')
+  })
+})
@@ -0,0 +1,106 @@
+import StrictRedux from '../src/StrictRedux'
+
+const todos = {
+  sliceName: 'todos',
+  initialState: { items: [], filter: 'all' },
+  actionReducers: {
+    add: (stateSlice, item) => ({ items: [...stateSlice.items, item] }),
+    setFilter: (stateSlice, filter) => ({ filter }),
+    copy: stateSlice => ({ items: [...stateSlice.items] })
+  },
+  createSelectors: () => ({
+    visible: (stateSlice, { prefix = '' } = {}) => stateSlice.items.filter(item => item.startsWith(prefix))
+  })
+}
+
+const createStore = () => new StrictRedux([todos], [], { devTools: false })
+
+describe('watch', () => {
+  it('calls the listener with previous and next values, when any of them changes', () => {
+    const instance = createStore()
+    const listener = jest.fn()
+    instance.watch('todos_items, todos_filter', listener)
+
+    instance.getAction('todos_add')('milk')
+
+    expect(listener).toHaveBeenCalledWith(
+      { todos_items: [], todos_filter: 'all' },
+      { todos_items: ['milk'], todos_filter: 'all' }
+    )
+  })
+
+  it('does not call the listener, when other values change', () => {
+    const instance = createStore()
+    const listener = jest.fn()
+    instance.watch('todos_filter', listener)
+
+    instance.getAction('todos_add')('milk')
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('compares values strictly by default', () => {
+    const instance = createStore()
+    const listener = jest.fn()
+    instance.watch('todos_items', listener)
+
+    instance.getAction('todos_copy')()
+
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('compares values shallowly on demand', () => {
+    const instance = createStore()
+    const listener = jest.fn()
+    instance.getAction('todos_add')('milk')
+    instance.watch('todos_items', listener, { equality: 'shallow' })
+
+    instance.getAction('todos_copy')()
+    expect(listener).not.toHaveBeenCalled()
+
+    instance.getAction('todos_add')('bread')
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('compares values with a custom function', () => {
+    const instance = createStore()
+    const listener = jest.fn()
+    instance.watch('todos_items', listener, { equality: (a, b) => a.length === b.length })
+
+    instance.getAction('todos_copy')()
+    instance.getAction('todos_add')('milk')
+
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('passes selector options to selectors', () => {
+    const instance = createStore()
+    const listener = jest.fn()
+    instance.watch('todos_visible', listener, { equality: 'shallow', selectorOptions: { prefix: 'b' } })
+
+    instance.getAction('todos_add')('milk')
+    instance.getAction('todos_add')('bread')
+
+    expect(listener.mock.calls).toEqual([[{ todos_visible: [] }, { todos_visible: ['bread'] }]])
+  })
+
+  it('stops calling the listener, when it is unsubscribed', () => {
+    const instance = createStore()
+    const listener = jest.fn()
+    const unsubscribe = instance.watch('todos_items', listener)
+
+    unsubscribe()
+    instance.getAction('todos_add')('milk')
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('rejects unknown equality checks and selectors', () => {
+    const instance = createStore()
+
+    expect(() => instance.watch('todos_items', () => {}, { equality: 'deep' }))
+      .toThrow('Unknown equality check deep. Expecting one of: strict, shallow')
+    expect(() => instance.watch('todos_nope', () => {}))
+      .toThrow('Bad store query _selectors: todos_nope. Could not resolve todos_nope')
+  })
+})
@@ -0,0 +1,43 @@
+import { Middleware } from 'redux'
+import StrictRedux, { AnySliceDescriptor, FluxStandardAction, SliceDescriptor, StrictReduxOptions } from '..'
+
+export interface TestStoreOptions<S extends readonly AnySliceDescriptor[], Sep extends string = '_'>
+  extends StrictReduxOptions<Sep> {
+  mockSelectors?: { [selectorName: string]: any }
+  middlewareFactories?: Array<(instance: StrictRedux<S, Sep>) => Middleware>
+}
+
+export interface ActionSpy {
+  getActions (queryString?: string): FluxStandardAction[]
+  wasDispatched (queryString: string): boolean
+  expectDispatched (queryString: string, payload?: any): void
+  clear (): void
+  stop (): void
+}
+
+export interface MiddlewareHarness<S extends readonly AnySliceDescriptor[]> {
+  instance: StrictRedux<S>
+  spy: ActionSpy
+  next: FluxStandardAction[]
+  dispatch (action: FluxStandardAction): any
+}
+
+export function createTestStore<S extends readonly AnySliceDescriptor[], Sep extends string = '_'> (
+  slices: readonly [...S],
+  options?: TestStoreOptions<S, Sep>
+): StrictRedux<S, Sep>
+
+export function createActionSpy (instance: StrictRedux<any, any>): ActionSpy
+
+export function runReducer<State extends object> (
+  sliceDescriptor: SliceDescriptor & { initialState: State },
+  actionName: string,
+  payload?: any,
+  state?: State
+): State
+
+export function createMiddlewareHarness<S extends readonly AnySliceDescriptor[]> (
+  middlewareFactory: (instance: StrictRedux<S>) => Middleware,
+  slices: readonly [...S],
+  options?: TestStoreOptions<S>
+): MiddlewareHarness<S>